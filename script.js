@@ -14,89 +14,557 @@
 const TimeSyncManager = (() => {
     let authorityUtcMs = 0;           // Last known authoritative UTC time (ms)
     let perfNowAtSync = 0;            // performance.now() value at sync time
-    let driftMs = 0;                  // Calculated drift
-    let isSynced = false;
+    let isSynced = false;             // True once an authoritative time base exists
     let syncAttempts = 0;
+    let hasAttemptedSync = false;
+    let lastSyncFailed = false;       // Last sync reached no source; base is being extrapolated
+    let leaderBase = null;            // Time base followed in a session, see followTimeBase()
+    let offsetEstimate = null;        // Best sample from the last sync (see collectSample)
+    let lastStepMs = 0;               // Prediction error found by the last sync
+    let syncInFlight = null;          // Promise of the running sync, see sync()
     const MAX_SYNC_ATTEMPTS = 3;
     const SYNC_INTERVAL_MS = 60000;   // Re-sync every 60 seconds
+    const SAMPLES_PER_SYNC = 4;       // Request/response exchanges per source per sync
+    const FETCH_TIMEOUT_MS = 5000;    // A source slower than this counts as failed
+    const STALE_AFTER_MS = 3 * SYNC_INTERVAL_MS; // Authoritative base older than this is degraded
 
-    // Primary time API: NIST/atomic-backed sources, with fallback to worldtimeapi.org
-    const TIME_APIS = [
+    // Suspend and clock-jump detection: Date.now() and performance.now()
+    // advance together unless the machine slept (performance.now() pauses on
+    // some platforms) or the system clock was stepped
+    const CLOCK_CHECK_INTERVAL_MS = 1000;
+    const CLOCK_JUMP_THRESHOLD_MS = 500;
+    const MIN_EVENT_RESYNC_MS = 5000; // Debounce for visibility/online/pageshow resyncs
+    let lastClockCheck = { wallMs: Date.now(), perfMs: performance.now() };
+    let lastEventResyncWallMs = 0;
+    let resyncing = false;            // Base is suspect until the resync after a jump finishes
+    let resyncStartWallMs = 0;        // Date.now() when the last jump was detected
+    let syncGeneration = 0;           // Bumped on every jump; syncs started before it are discarded
+    const MAX_RESYNC_DISPLAY_MS = 10000; // After this the carried-over base is shown as degraded
+    let wallOffsetMs = 0;             // Authoritative UTC minus Date.now() at the last sync
+    let goodSyncWallMs = null;        // Date.now() at the last authoritative sync
+    const clockJumpListeners = [];
+
+    // Sync quality states, see getSyncState()
+    const SYNC_STATES = {
+        SYNCING: 'syncing',               // First sync still in flight
+        RESYNCING: 'resyncing',           // Suspend or clock jump detected; resync in flight
+        AUTHORITATIVE: 'authoritative',   // Recent consensus from time sources
+        DEGRADED: 'degraded',             // Extrapolating from an old or unconfirmed base
+        LOCAL_ONLY: 'local-only'          // Never reached a source; showing system time
+    };
+
+    // Clock-rate model: performance.now() runs fast or slow against UTC by a
+    // small, roughly constant rate. It is fitted from the sync history.
+    const syncHistory = [];           // {perfMs, perfOffsetMs, errorMs}
+    const MAX_HISTORY = 60;           // About an hour at the default interval
+    const MIN_RATE_SPAN_MS = 10 * 60000; // Don't trust a rate fitted over less than this
+    const MAX_RATE = 500e-6;          // Anything beyond ±500 ppm is a bad fit, not a clock
+    const DEFAULT_RATE_UNCERTAINTY = 50e-6; // Typical crystal tolerance before we have a fit
+    let rateModel = { rate: 0, rateStdErr: DEFAULT_RATE_UNCERTAINTY, samples: 0 };
+    let learnedRate = null;           // {rate, rateStdErr} of the last real fit, possibly from an earlier visit
+
+    // The last authoritative sync and the learned rate are saved, so a launch
+    // without connectivity starts from them (degraded, with the uncertainty
+    // grown over the time since) instead of from raw system time
+    const STORAGE_KEY = 'timehack.timebase';
+
+    // Time sources, queried together on every sync and combined by consensus.
+    // Types:
+    //   json      - JSON API; parser(data) returns UTC ms
+    //   http-date - HTTP Date header of a same-origin or CORS endpoint (the
+    //               header must be exposed via Access-Control-Expose-Headers)
+    //   ntp       - Companion server sync endpoint returning the request's
+    //               receive and transmit times (server/index.js)
+    // `enabled` may be a function so a source can opt out for this page load.
+    // When a `preferred` source answers, the others are not queried.
+    let timeSources = [
         {
+            name: 'worldtimeapi.org',
+            type: 'json',
             url: 'https://worldtimeapi.org/api/timezone/Etc/UTC',
             parser: (data) => new Date(data.utc_datetime).getTime(),
-            name: 'NIST-synchronized NTP (Primary)'
+            enabled: true
         },
         {
-            url: 'https://worldtimeapi.org/api/timezone/UTC',
-            parser: (data) => new Date(data.utc_datetime).getTime(),
-            name: 'NIST-synchronized NTP (Backup)'
+            name: 'timeapi.io',
+            type: 'json',
+            url: 'https://timeapi.io/api/Time/current/zone?timeZone=UTC',
+            // dateTime is UTC without a zone suffix, with up to 7 fraction digits
+            parser: (data) => Date.parse(`${data.dateTime.slice(0, 23)}Z`),
+            enabled: true
+        },
+        {
+            name: 'Page host',
+            type: 'http-date',
+            url: location.href,
+            enabled: () => /^https?:$/.test(location.protocol)
+        },
+        {
+            name: 'Companion server',
+            type: 'ntp',
+            url: new URL('api/sync', location.href).href,
+            enabled: () => companionAvailable,
+            preferred: true
         }
     ];
+    let companionAvailable = false;   // Page was served by server/index.js, see discoverCompanion()
+    let sourceReport = [];            // Per-source outcome of the last sync
+    const syncLog = [];               // Every sync attempt this session, see logSyncAttempt()
+    const MAX_SYNC_LOG = 1000;
 
     /**
-     * Fetch authoritative UTC time from public API
-     * @returns {Promise<number>} UTC time in milliseconds
+     * Fetch with an abort timeout, so one stalled source (a captive portal,
+     * a half-dead API) can't hold up the whole sync
+     * @param {string|URL} url - Request URL
+     * @param {object} options - fetch() options
+     * @returns {Promise<Response>}
+     * @throws {Error} 'Timed out after …' when FETCH_TIMEOUT_MS passes first
      */
-    async function fetchAuthorityTime() {
-        for (let api of TIME_APIS) {
+    async function fetchWithTimeout(url, options) {
+        try {
+            return await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        } catch (e) {
+            if (e.name === 'TimeoutError') {
+                throw new Error(`Timed out after ${FETCH_TIMEOUT_MS}ms`);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Perform one NTP-style exchange with a time source.
+     * t0 is taken before the request and t1 as soon as the response headers
+     * arrive, so JSON parsing is not counted as network delay. The server
+     * timestamp is assumed to fall at the midpoint of the round trip, which
+     * bounds the error to half the round-trip time. For ntp sources the
+     * server's own processing time is taken out of the round trip first.
+     * @param {object} source - Entry from timeSources
+     * @returns {Promise<object>} {source, serverUtcMs, perfMid, rttMs, errorMs, offsetMs}
+     */
+    async function collectSample(source) {
+        const t0 = performance.now();
+        const response = await fetchWithTimeout(source.url, {
+            method: source.type === 'http-date' ? 'HEAD' : 'GET',
+            cache: 'no-store'
+        });
+        const t1 = performance.now();
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        let rttMs = t1 - t0;
+        let serverUtcMs;
+        let resolutionMs = 0;
+        if (source.type === 'ntp') {
+            const { receiveUtcMs, transmitUtcMs } = await response.json();
+            const processingMs = transmitUtcMs - receiveUtcMs;
+            if (!(processingMs >= 0 && processingMs <= rttMs)) {
+                throw new Error('Inconsistent sync timestamps');
+            }
+            rttMs -= processingMs;
+            serverUtcMs = (receiveUtcMs + transmitUtcMs) / 2;
+        } else if (source.type === 'http-date') {
+            const header = response.headers.get('Date');
+            if (!header) {
+                throw new Error('No readable Date header');
+            }
+            // The header is truncated to the whole second, so the true time
+            // lies anywhere in the following second
+            serverUtcMs = Date.parse(header) + 500;
+            resolutionMs = 500;
+        } else {
+            serverUtcMs = source.parser(await response.json());
+        }
+        if (!Number.isFinite(serverUtcMs)) {
+            throw new Error('Unparseable time response');
+        }
+
+        const perfMid = (t0 + t1) / 2;
+        return {
+            source: source.name,
+            serverUtcMs,
+            perfMid,
+            rttMs,
+            errorMs: rttMs / 2 + resolutionMs,
+            // Authoritative UTC minus the local clock at the same instant
+            offsetMs: serverUtcMs - (performance.timeOrigin + perfMid)
+        };
+    }
+
+    /**
+     * Take several samples from one source and keep the one with the lowest
+     * round-trip delay, since it has the tightest error bound
+     * @param {object} source - Entry from timeSources
+     * @returns {Promise<object>} Best sample (see collectSample)
+     */
+    async function sampleSource(source) {
+        let best = null;
+        let lastError = null;
+        for (let i = 0; i < SAMPLES_PER_SYNC; i++) {
             try {
-                const response = await fetch(api.url, { 
-                    method: 'GET',
-                    cache: 'no-cache'
-                });
-                if (response.ok) {
-                    const data = await response.json();
-                    return api.parser(data);
+                const sample = await collectSample(source);
+                if (!best || sample.rttMs < best.rttMs) {
+                    best = sample;
                 }
             } catch (e) {
-                console.warn(`Time API fetch failed: ${api.url}`, e);
+                lastError = e;
+                break;
+            }
+        }
+        if (!best) throw lastError;
+        return best;
+    }
+
+    /**
+     * Find the offset range consistent with the most sources (Marzullo's
+     * algorithm). Each sample contributes the interval offset ± error.
+     * @param {Array<object>} samples - One best sample per source
+     * @returns {object} {low, high, count}
+     */
+    function intersectIntervals(samples) {
+        const edges = [];
+        samples.forEach(s => {
+            edges.push({ value: s.offsetMs - s.errorMs, type: -1 });
+            edges.push({ value: s.offsetMs + s.errorMs, type: +1 });
+        });
+        // Starts sort before ends at the same value so touching intervals overlap
+        edges.sort((a, b) => a.value - b.value || a.type - b.type);
+
+        let best = { low: 0, high: 0, count: 0 };
+        let count = 0;
+        edges.forEach((edge, i) => {
+            count -= edge.type;
+            if (count > best.count) {
+                best = { low: edge.value, high: edges[i + 1].value, count };
             }
+        });
+        return best;
+    }
+
+    /**
+     * Fetch authoritative UTC time from all enabled sources and combine them
+     * Sources whose intervals overlap the majority intersection agree; the
+     * rest are rejected. Without a majority the single tightest source is used.
+     * @returns {Promise<object>} Combined sample (see collectSample) plus
+     *   `sources`, the per-source report
+     */
+    async function fetchAuthorityTime() {
+        const enabled = timeSources.filter(source =>
+            typeof source.enabled === 'function' ? source.enabled() : source.enabled
+        );
+        const report = [];
+        const samples = [];
+        const query = async (sources) => {
+            const results = await Promise.allSettled(sources.map(sampleSource));
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled') {
+                    samples.push(result.value);
+                    report.push({ name: sources[i].name, status: 'agreed', sample: result.value });
+                } else {
+                    console.warn(`Time source failed: ${sources[i].name} (${sources[i].url})`, result.reason);
+                    report.push({ name: sources[i].name, status: 'failed', error: String(result.reason) });
+                }
+            });
+        };
+
+        await query(enabled.filter(source => source.preferred));
+        if (samples.length === 0) {
+            await query(enabled.filter(source => !source.preferred));
+        }
+
+        if (samples.length === 0) {
+            // Fallback: use system time if all sources fail
+            console.warn('All time sources failed. Falling back to system time.');
+            return {
+                source: 'System clock',
+                serverUtcMs: Date.now(),
+                perfMid: performance.now(),
+                rttMs: 0,
+                errorMs: null,        // Unknown - nothing to compare against
+                offsetMs: 0,
+                sources: report
+            };
+        }
+
+        let low, high;
+        const intersection = intersectIntervals(samples);
+        if (intersection.count > samples.length / 2) {
+            ({ low, high } = intersection);
+        } else {
+            const tightest = samples.reduce((a, b) => (b.errorMs < a.errorMs ? b : a));
+            low = tightest.offsetMs - tightest.errorMs;
+            high = tightest.offsetMs + tightest.errorMs;
         }
-        // Fallback: use system time if all APIs fail
-        console.warn('All time APIs failed. Falling back to system time.');
-        return Date.now();
+
+        const agreed = [];
+        report.forEach(entry => {
+            if (!entry.sample) return;
+            const s = entry.sample;
+            if (s.offsetMs + s.errorMs < low || s.offsetMs - s.errorMs > high) {
+                entry.status = 'rejected';
+                console.warn(`Time source rejected: ${entry.name} (offset ${s.offsetMs.toFixed(1)}ms)`);
+            } else {
+                agreed.push(s);
+            }
+        });
+
+        const offsetMs = (low + high) / 2;
+        const perfMid = performance.now();
+        return {
+            source: agreed.map(s => s.source).join(' + '),
+            serverUtcMs: performance.timeOrigin + perfMid + offsetMs,
+            perfMid,
+            rttMs: Math.min(...agreed.map(s => s.rttMs)),
+            errorMs: (high - low) / 2,
+            offsetMs,
+            sources: report
+        };
     }
 
     /**
      * Synchronize to authoritative UTC time
+     * Calls made while a sync is running share its result. A sync that was
+     * running when a clock jump was detected ends the resync only if it was
+     * started after the jump (see handleClockJump).
+     * @returns {Promise<boolean>} Whether an authoritative time was obtained
      */
-    async function sync() {
+    function sync() {
+        if (!syncInFlight) {
+            const generation = syncGeneration;
+            syncInFlight = runSync(generation).finally(() => {
+                syncInFlight = null;
+                if (generation === syncGeneration) {
+                    resyncing = false;
+                }
+            });
+        }
+        return syncInFlight;
+    }
+
+    /**
+     * Run one sync, retrying on errors
+     * If no source answers, an existing time base is kept and extrapolated
+     * (degraded) rather than replaced by the system clock. Results that
+     * arrive after a clock jump are dropped, since their samples were taken
+     * on the old timeline.
+     * @param {number} generation - syncGeneration when the sync started
+     * @returns {Promise<boolean>} Whether an authoritative time was obtained
+     */
+    async function runSync(generation) {
         try {
             syncAttempts++;
-            const fetchedTimeMs = await fetchAuthorityTime();
-            
-            // Record the sync point
-            authorityUtcMs = fetchedTimeMs;
-            perfNowAtSync = performance.now();
-            driftMs = 0; // Reset drift on successful sync
+            const sample = await fetchAuthorityTime();
+            if (generation !== syncGeneration) {
+                console.warn('Discarding sync started before a clock jump');
+                return false;
+            }
+            hasAttemptedSync = true;
+            sourceReport = sample.sources;
+
+            if (sample.errorMs === null) {
+                lastSyncFailed = true;
+                syncAttempts = 0;
+                if (!isSynced) {
+                    offsetEstimate = sample;
+                }
+                logSyncAttempt('failed', sample);
+                console.warn(isSynced
+                    ? 'Sync failed. Extrapolating from last authoritative sync.'
+                    : 'Sync failed. Showing unverified system time.');
+                return false;
+            }
+
+            // How far the extrapolated clock had wandered from the new measurement
+            lastStepMs = isSynced ? sample.serverUtcMs - extrapolate(sample.perfMid) : 0;
+
+            // Record the sync point: the server time applies at the round-trip midpoint
+            authorityUtcMs = sample.serverUtcMs;
+            perfNowAtSync = sample.perfMid;
+            offsetEstimate = sample;
+            wallOffsetMs = sample.serverUtcMs - (Date.now() - (performance.now() - sample.perfMid));
+            goodSyncWallMs = Date.now();
+            recordSyncPoint(sample);
             isSynced = true;
+            lastSyncFailed = false;
             syncAttempts = 0;
-            
-            console.log(`✓ Synced to authoritative UTC: ${new Date(authorityUtcMs).toISOString()}`);
+            logSyncAttempt('synced', sample);
+            saveTimeBase();
+
+            console.log(`✓ Synced to authoritative UTC: ${new Date(authorityUtcMs).toISOString()} ` +
+                `(offset ${sample.offsetMs.toFixed(1)}ms, error ±${sample.errorMs.toFixed(1)}ms, via ${sample.source})`);
             return true;
         } catch (e) {
             console.error('Sync failed:', e);
+            logSyncAttempt('error', null, e);
+            if (generation !== syncGeneration) return false;
             if (syncAttempts < MAX_SYNC_ATTEMPTS) {
                 // Retry after short delay
                 await new Promise(resolve => setTimeout(resolve, 2000));
-                return sync();
+                return runSync(generation);
             }
-            isSynced = false;
+            hasAttemptedSync = true;
+            lastSyncFailed = true;
             return false;
         }
     }
 
+    /**
+     * Append a sync attempt to the session log
+     * @param {string} result - 'synced', 'failed' (no source answered),
+     *   'error' (sync itself threw), 'clock-jump' (see handleClockJump) or
+     *   'restored' (saved time base loaded, see restoreTimeBase)
+     * @param {object|null} sample - Combined sample from fetchAuthorityTime()
+     * @param {Error|string} [error] - Exception or reason
+     * @param {number|null} [stepMs] - Correction applied; the divergence for
+     *   clock jumps
+     */
+    function logSyncAttempt(result, sample, error = null, stepMs = result === 'synced' ? lastStepMs : null) {
+        syncLog.push({
+            utcMs: getOwnUtcMs(),
+            result,
+            source: sample ? sample.source : null,
+            rttMs: sample && result === 'synced' ? sample.rttMs : null,
+            offsetMs: sample && result === 'synced' ? sample.offsetMs : null,
+            errorMs: sample ? sample.errorMs : null,
+            stepMs,
+            sources: sample ? sample.sources.map(entry => ({
+                name: entry.name,
+                status: entry.status,
+                rttMs: entry.sample ? entry.sample.rttMs : null,
+                offsetMs: entry.sample ? entry.sample.offsetMs : null,
+                errorMs: entry.sample ? entry.sample.errorMs : null,
+                error: entry.error || null
+            })) : [],
+            error: error ? String(error) : null
+        });
+        if (syncLog.length > MAX_SYNC_LOG) {
+            syncLog.shift();
+        }
+    }
+
+    /**
+     * Add a sync point to the history and refit the clock-rate model
+     * @param {object} sample - Authoritative sample (see collectSample)
+     */
+    function recordSyncPoint(sample) {
+        syncHistory.push({
+            perfMs: sample.perfMid,
+            perfOffsetMs: sample.serverUtcMs - sample.perfMid,
+            errorMs: sample.errorMs
+        });
+        if (syncHistory.length > MAX_HISTORY) {
+            syncHistory.shift();
+        }
+        rateModel = fitRate(syncHistory);
+        if (rateModel.fitted) {
+            learnedRate = { rate: rateModel.rate, rateStdErr: rateModel.rateStdErr };
+        }
+    }
+
+    /**
+     * Rate model to use without a fit of its own: the last learned rate if
+     * there is one, otherwise zero with the default uncertainty
+     * @param {number} [samples] - Sync points behind the current history
+     * @returns {object} {rate, rateStdErr, samples}
+     */
+    function priorRateModel(samples = 0) {
+        return learnedRate
+            ? { ...learnedRate, samples }
+            : { rate: 0, rateStdErr: DEFAULT_RATE_UNCERTAINTY, samples };
+    }
+
+    /**
+     * Fit the local clock's rate error by weighted linear regression of the
+     * measured offset against performance.now(). Each point is weighted by
+     * 1/error², so low-latency samples dominate. The rate is only trusted once
+     * the history spans MIN_RATE_SPAN_MS; until then the prior rate is used
+     * (see priorRateModel).
+     * @param {Array<object>} points - Sync history
+     * @returns {object} {rate, rateStdErr, samples, fitted}
+     */
+    function fitRate(points) {
+        const fallback = priorRateModel(points.length);
+        if (points.length < 3) return fallback;
+
+        const span = points[points.length - 1].perfMs - points[0].perfMs;
+        if (span < MIN_RATE_SPAN_MS) return fallback;
+
+        let sw = 0, sx = 0, sy = 0;
+        points.forEach(p => {
+            const w = 1 / Math.max(p.errorMs, 1) ** 2;
+            sw += w;
+            sx += w * p.perfMs;
+            sy += w * p.perfOffsetMs;
+        });
+        const xMean = sx / sw;
+        const yMean = sy / sw;
+
+        let sxx = 0, sxy = 0;
+        points.forEach(p => {
+            const w = 1 / Math.max(p.errorMs, 1) ** 2;
+            sxx += w * (p.perfMs - xMean) ** 2;
+            sxy += w * (p.perfMs - xMean) * (p.perfOffsetMs - yMean);
+        });
+        if (sxx === 0) return fallback;
+        const rate = sxy / sxx;
+
+        // Scale the formal slope variance up when the residuals are larger
+        // than the error bounds claim (reduced chi-squared > 1)
+        let chi2 = 0;
+        points.forEach(p => {
+            const w = 1 / Math.max(p.errorMs, 1) ** 2;
+            const residual = p.perfOffsetMs - (yMean + rate * (p.perfMs - xMean));
+            chi2 += w * residual ** 2;
+        });
+        const scale = Math.max(1, chi2 / (points.length - 2));
+        const rateStdErr = Math.sqrt(scale / sxx);
+
+        if (Math.abs(rate) > MAX_RATE) return fallback;
+        return { rate, rateStdErr, samples: points.length, fitted: true };
+    }
+
+    /**
+     * Extrapolate UTC from the last sync point using the fitted clock rate
+     * @param {number} perfMs - performance.now() timestamp
+     * @returns {number} UTC time in milliseconds
+     */
+    function extrapolate(perfMs) {
+        const elapsedSinceSync = perfMs - perfNowAtSync;
+        return authorityUtcMs + elapsedSinceSync * (1 + rateModel.rate);
+    }
+
     /**
      * Get current UTC time with drift compensation
-     * Uses high-resolution performance.now() to prevent system clock drift
+     * Uses high-resolution performance.now() to prevent system clock drift,
+     * corrected by the fitted clock-rate error
      * @returns {number} Current UTC time in milliseconds
      */
     function getCurrentUtcMs() {
+        if (leaderBase) {
+            return leaderBase.utcMs + (performance.now() - leaderBase.perfMs);
+        }
+        return getOwnUtcMs();
+    }
+
+    /**
+     * Get this device's own UTC estimate, ignoring any session leader
+     * @returns {number} UTC time in milliseconds
+     */
+    function getOwnUtcMs() {
         if (!isSynced) return Date.now();
-        
-        const elapsedSinceSync = performance.now() - perfNowAtSync;
-        return authorityUtcMs + elapsedSinceSync + driftMs;
+        return extrapolate(performance.now());
+    }
+
+    /**
+     * Slave getCurrentUtcMs() to a session leader's time base
+     * Background sync keeps running so the device's own estimate stays
+     * available for comparison (see getOwnUtcMs).
+     * @param {object|null} base - {perfMs, utcMs, errorMs, sync} where utcMs is
+     *   the leader's time at performance.now() = perfMs and sync is the
+     *   leader's getSyncState() when it was measured; null to stop following
+     */
+    function followTimeBase(base) {
+        leaderBase = base && { ...base, receivedPerfMs: performance.now() };
     }
 
     /**
@@ -132,35 +600,347 @@ const TimeSyncManager = (() => {
     }
 
     /**
-     * Start background re-sync every 60 seconds
+     * Get the sync quality state
+     * Degraded covers both a failed re-sync and a base older than
+     * STALE_AFTER_MS; its uncertainty keeps growing with the base's age.
+     * When following a session leader, the leader's state is reported with
+     * the follower's measurement error added.
+     * @returns {object} {state, sinceGoodSyncMs, uncertaintyMs, following} -
+     *   the middle two are null when there has never been an authoritative sync
+     */
+    function getSyncState() {
+        if (leaderBase) {
+            const { sync } = leaderBase;
+            const age = performance.now() - leaderBase.receivedPerfMs;
+            return {
+                state: sync.state,
+                sinceGoodSyncMs: sync.sinceGoodSyncMs === null ? null : sync.sinceGoodSyncMs + age,
+                uncertaintyMs: sync.uncertaintyMs === null ? null : sync.uncertaintyMs + leaderBase.errorMs,
+                following: true
+            };
+        }
+        // The placeholder is capped so a slow network can't blank the clock
+        // for long; after that the carried-over base counts as degraded
+        if (resyncing && Date.now() - resyncStartWallMs < MAX_RESYNC_DISPLAY_MS) {
+            const drift = getDriftEstimate();
+            return {
+                state: SYNC_STATES.RESYNCING,
+                sinceGoodSyncMs: goodSyncWallMs === null ? null : Date.now() - goodSyncWallMs,
+                uncertaintyMs: drift ? drift.uncertaintyMs : null,
+                following: false
+            };
+        }
+        if (!isSynced) {
+            return {
+                state: hasAttemptedSync ? SYNC_STATES.LOCAL_ONLY : SYNC_STATES.SYNCING,
+                sinceGoodSyncMs: null,
+                uncertaintyMs: null,
+                following: false
+            };
+        }
+        // Wall-clock age, since performance.now() may have paused in a suspend
+        const sinceGoodSyncMs = Date.now() - goodSyncWallMs;
+        const drift = getDriftEstimate();
+        const stale = lastSyncFailed || sinceGoodSyncMs > STALE_AFTER_MS;
+        return {
+            state: stale ? SYNC_STATES.DEGRADED : SYNC_STATES.AUTHORITATIVE,
+            sinceGoodSyncMs,
+            uncertaintyMs: drift.uncertaintyMs,
+            following: false
+        };
+    }
+
+    /**
+     * Start background re-sync every 60 seconds, the clock cross-check, and
+     * immediate resyncs when the page comes back
      */
     function startBackgroundSync() {
         setInterval(() => {
             sync().catch(e => console.error('Background sync error:', e));
         }, SYNC_INTERVAL_MS);
+        setInterval(checkClocks, CLOCK_CHECK_INTERVAL_MS);
+
+        const resyncOnReturn = () => {
+            if (checkClocks()) return;
+            if (Date.now() - lastEventResyncWallMs < MIN_EVENT_RESYNC_MS) return;
+            lastEventResyncWallMs = Date.now();
+            sync().catch(e => console.error('Resync error:', e));
+        };
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) resyncOnReturn();
+        });
+        window.addEventListener('online', resyncOnReturn);
+        window.addEventListener('pageshow', resyncOnReturn);
+    }
+
+    /**
+     * Compare how far Date.now() and performance.now() moved since the last
+     * check, and handle a suspend or clock step if they disagree
+     * @returns {boolean} Whether a jump was detected
+     */
+    function checkClocks() {
+        const wallMs = Date.now();
+        const perfMs = performance.now();
+        const divergenceMs = (wallMs - lastClockCheck.wallMs) - (perfMs - lastClockCheck.perfMs);
+        lastClockCheck = { wallMs, perfMs };
+        if (Math.abs(divergenceMs) < CLOCK_JUMP_THRESHOLD_MS) return false;
+        handleClockJump(divergenceMs);
+        return true;
+    }
+
+    /**
+     * React to a suspend or clock step: mark the time as resyncing, move the
+     * base to the best guess available, and resync at once
+     * A positive divergence is the usual suspend case (performance.now()
+     * paused while Date.now() kept counting), so the base is carried across
+     * on the system clock. A negative one means the system clock was stepped
+     * back; the performance.now() base is still right and is kept.
+     * @param {number} divergenceMs - Date.now() advance minus performance.now() advance
+     */
+    function handleClockJump(divergenceMs) {
+        console.warn(`Clock jump detected (${divergenceMs > 0 ? '+' : ''}${Math.round(divergenceMs)}ms); resyncing`);
+        resyncing = true;
+        resyncStartWallMs = Date.now();
+        syncGeneration++;
+        leaderBase = null;
+        lastSyncFailed = true;
+
+        if (isSynced && divergenceMs > 0) {
+            const perfNow = performance.now();
+            const elapsedWallMs = Date.now() - goodSyncWallMs;
+            authorityUtcMs = Date.now() + wallOffsetMs;
+            perfNowAtSync = perfNow;
+            // The system clock's own drift over the gap is unknown; allow the
+            // typical crystal tolerance for it
+            offsetEstimate = {
+                ...offsetEstimate,
+                perfMid: perfNow,
+                offsetMs: authorityUtcMs - (performance.timeOrigin + perfNow),
+                errorMs: offsetEstimate.errorMs + elapsedWallMs * DEFAULT_RATE_UNCERTAINTY
+            };
+        }
+        // The history was taken on a performance.now() timeline that has now
+        // broken; the rate it learned still describes this clock
+        syncHistory.length = 0;
+        rateModel = priorRateModel();
+
+        logSyncAttempt('clock-jump', null, 'Suspend or system clock step detected', divergenceMs);
+        clockJumpListeners.forEach(listener => listener(divergenceMs));
+        // A sync already running took its samples before the jump; let it
+        // settle (its result is discarded) and start a fresh one
+        const stale = syncInFlight || Promise.resolve();
+        stale.catch(() => {})
+            .then(() => sync())
+            .catch(e => console.error('Resync error:', e));
+    }
+
+    /**
+     * Register a callback for detected suspends and clock steps, e.g. to drop
+     * measurements taken on the old performance.now() timeline
+     * @param {Function} listener - Called with the divergence in milliseconds
+     */
+    function onClockJump(listener) {
+        clockJumpListeners.push(listener);
     }
 
     /**
      * Get current drift in milliseconds
+     * This is the rate correction applied since the last sync, i.e. how far
+     * the local clock is estimated to have wandered from UTC.
      * @returns {number} Current drift value
      */
     function getCurrentDrift() {
         if (!isSynced) return 0;
         const elapsedSinceSync = performance.now() - perfNowAtSync;
-        return Math.round(driftMs);
+        return Math.round(elapsedSinceSync * rateModel.rate);
+    }
+
+    /**
+     * Get the clock-rate model and the confidence of the current estimate
+     * uncertaintyMs grows from the last sync's error bound by the rate
+     * uncertainty times the time elapsed since that sync.
+     * @returns {object|null} {ratePpm, rateStdErrPpm, driftMs, uncertaintyMs,
+     *   lastStepMs, sinceSyncMs, samples}
+     */
+    function getDriftEstimate() {
+        if (!isSynced) return null;
+        const elapsedSinceSync = performance.now() - perfNowAtSync;
+        return {
+            ratePpm: rateModel.rate * 1e6,
+            rateStdErrPpm: rateModel.rateStdErr * 1e6,
+            driftMs: elapsedSinceSync * rateModel.rate,
+            uncertaintyMs: offsetEstimate.errorMs + elapsedSinceSync * rateModel.rateStdErr,
+            lastStepMs,
+            sinceSyncMs: elapsedSinceSync,
+            samples: rateModel.samples
+        };
+    }
+
+    /**
+     * Get the per-source outcome of the last sync
+     * The array is replaced (not mutated) on each sync, so callers can compare
+     * references to detect a change.
+     * @returns {Array<object>} [{name, status: 'agreed'|'rejected'|'failed', sample?, error?}]
+     */
+    function getSourceReport() {
+        return sourceReport;
+    }
+
+    /**
+     * Get every sync attempt made this session, oldest first
+     * The array grows in place; callers should not modify it.
+     * @returns {Array<object>} [{utcMs, result, source, rttMs, offsetMs,
+     *   errorMs, stepMs, sources, error}]
+     */
+    function getSyncLog() {
+        return syncLog;
+    }
+
+    /**
+     * Replace the list of time sources used by sync()
+     * @param {Array<object>} sources - Entries shaped like timeSources
+     */
+    function configureSources(sources) {
+        sources.forEach(source => {
+            if (!['json', 'http-date', 'ntp'].includes(source.type)) {
+                throw new Error(`Unknown time source type: ${source.type}`);
+            }
+            if (source.type === 'json' && typeof source.parser !== 'function') {
+                throw new Error(`Time source ${source.name} needs a parser`);
+            }
+        });
+        timeSources = sources.map(source => ({ enabled: true, ...source }));
+    }
+
+    /**
+     * Check whether the page was served by the companion time server, whose
+     * sync endpoint then becomes the preferred source
+     * @returns {Promise<boolean>} Whether the companion server answered
+     */
+    async function discoverCompanion() {
+        if (!/^https?:$/.test(location.protocol)) return false;
+        try {
+            const response = await fetchWithTimeout(new URL('api/sync', location.href), { cache: 'no-store' });
+            const data = response.ok ? await response.json() : null;
+            companionAvailable = Boolean(data && Number.isFinite(data.receiveUtcMs));
+        } catch (e) {
+            companionAvailable = false;
+        }
+        if (companionAvailable) {
+            console.log('✓ Companion time server found; using it as the preferred source');
+        }
+        return companionAvailable;
+    }
+
+    /**
+     * Save the current authoritative base and learned rate for the next launch
+     * The base is stored against Date.now(), the only clock that carries over
+     * between page loads.
+     */
+    function saveTimeBase() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                utcMs: authorityUtcMs,
+                wallMs: Date.now() - (performance.now() - perfNowAtSync),
+                errorMs: offsetEstimate.errorMs,
+                source: offsetEstimate.source,
+                rate: learnedRate
+            }));
+        } catch (e) {
+            console.warn('Could not save time base:', e);
+        }
+    }
+
+    /**
+     * Start from the time base saved by an earlier visit, if any
+     * It is carried across on the system clock, whose drift in the meantime
+     * is unknown, so its error grows by the typical crystal tolerance for
+     * every millisecond since it was saved. It counts as degraded until a
+     * sync confirms it.
+     * @returns {boolean} Whether a saved base was restored
+     */
+    function restoreTimeBase() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            console.warn('Could not load saved time base:', e);
+            return false;
+        }
+        if (!saved || ![saved.utcMs, saved.wallMs, saved.errorMs].every(Number.isFinite)) return false;
+
+        if (saved.rate && Number.isFinite(saved.rate.rate) && Number.isFinite(saved.rate.rateStdErr) &&
+            Math.abs(saved.rate.rate) <= MAX_RATE) {
+            learnedRate = { rate: saved.rate.rate, rateStdErr: saved.rate.rateStdErr };
+        }
+        rateModel = priorRateModel();
+
+        // A system clock now behind the save time was stepped back; the base
+        // can't be placed on it
+        const elapsedWallMs = Date.now() - saved.wallMs;
+        if (elapsedWallMs < 0) return false;
+
+        const perfNow = performance.now();
+        wallOffsetMs = saved.utcMs - saved.wallMs;
+        authorityUtcMs = Date.now() + wallOffsetMs;
+        perfNowAtSync = perfNow;
+        goodSyncWallMs = saved.wallMs;
+        offsetEstimate = {
+            source: `Saved time base (${saved.source})`,
+            serverUtcMs: authorityUtcMs,
+            perfMid: perfNow,
+            rttMs: null,
+            errorMs: saved.errorMs + elapsedWallMs * DEFAULT_RATE_UNCERTAINTY,
+            offsetMs: authorityUtcMs - (performance.timeOrigin + perfNow),
+            sources: []
+        };
+        isSynced = true;
+        lastSyncFailed = true;
+        logSyncAttempt('restored', offsetEstimate);
+        console.log(`Restored time base saved ${Math.round(elapsedWallMs / 1000)}s ago ` +
+            `(error ±${offsetEstimate.errorMs.toFixed(1)}ms)`);
+        return true;
+    }
+
+    /**
+     * Get the clock offset measured at the last sync
+     * offsetMs is authoritative UTC minus the local clock; errorMs is the
+     * half-width of the consensus interval, or null when running on the
+     * system clock.
+     * @returns {object|null} {offsetMs, errorMs, rttMs, source}
+     */
+    function getOffsetEstimate() {
+        if (!offsetEstimate) return null;
+        const { offsetMs, errorMs, rttMs, source } = offsetEstimate;
+        return { offsetMs, errorMs, rttMs, source };
     }
 
     return {
-        init: async () => {
-            await sync();
+        init: () => {
+            restoreTimeBase();
             startBackgroundSync();
+            // Discovery and the first sync run in the background so the clock
+            // shows at once, from the restored base or the system clock
+            discoverCompanion()
+                .then(() => sync())
+                .catch(e => console.error('Initial sync error:', e));
         },
         getCurrentUtcMs,
+        getOwnUtcMs,
+        followTimeBase,
         getCurrentUtcDate,
         getCurrentUtcSeconds,
         getCurrentUtcMs_Component,
         getSyncStatus,
-        getCurrentDrift
+        getSyncState,
+        SYNC_STATES,
+        getCurrentDrift,
+        getDriftEstimate,
+        getOffsetEstimate,
+        getSourceReport,
+        getSyncLog,
+        onClockJump,
+        configureSources
     };
 })();
 
@@ -169,7 +949,31 @@ const TimeSyncManager = (() => {
 // ============================================================================
 
 const TimezoneManager = (() => {
+    const STORAGE_KEY = 'timehack.timezone';
+
+    // Used when the browser cannot list its zones (Intl.supportedValuesOf)
+    const FALLBACK_TIMEZONES = [
+        'UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+        'Pacific/Honolulu', 'Europe/London', 'Europe/Paris', 'Asia/Tokyo', 'Australia/Sydney'
+    ];
+
+    // Intl.DateTimeFormat is expensive to construct, so one instance is kept
+    // per kind and zone. The parts of the last formatted second are kept too,
+    // since the display asks for the same second many times.
+    const FORMAT_OPTIONS = {
+        time: { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false },
+        dateTime: {
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+        },
+        name: { timeZoneName: 'short' }
+    };
+    const formatterCache = new Map(); // `${kind}|${timezone}` -> Intl.DateTimeFormat
+    const partsCache = new Map();     // `${kind}|${timezone}` -> {utcSecond, parts}
+
+    let favorites = [];
     let selectedTimezone = getDefaultTimezone();
+    let savedTimezone = selectedTimezone; // Differs from selectedTimezone while ?tz= applies
 
     /**
      * Detect user's browser timezone
@@ -183,6 +987,45 @@ const TimezoneManager = (() => {
         }
     }
 
+    /**
+     * Get a cached formatter
+     * @param {string} kind - Key of FORMAT_OPTIONS
+     * @param {string} timezone - IANA timezone name
+     * @returns {Intl.DateTimeFormat}
+     * @throws {RangeError} If the timezone is unknown
+     */
+    function getFormatter(kind, timezone) {
+        const key = `${kind}|${timezone}`;
+        let formatter = formatterCache.get(key);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...FORMAT_OPTIONS[kind] });
+            formatterCache.set(key, formatter);
+        }
+        return formatter;
+    }
+
+    /**
+     * Format a moment into named parts, reusing the result within a second
+     * @param {string} kind - 'time' or 'dateTime'
+     * @param {Date} utcDate - UTC Date object
+     * @param {string} timezone - IANA timezone name
+     * @returns {object} Part type -> value, e.g. {hour: '14', minute: '05', ...}
+     */
+    function getParts(kind, utcDate, timezone) {
+        const key = `${kind}|${timezone}`;
+        const utcSecond = Math.floor(utcDate.getTime() / 1000);
+        const cached = partsCache.get(key);
+        if (cached && cached.utcSecond === utcSecond) {
+            return cached.parts;
+        }
+        const parts = {};
+        getFormatter(kind, timezone).formatToParts(utcDate).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        partsCache.set(key, { utcSecond, parts });
+        return parts;
+    }
+
     /**
      * Format Date object to HH:MM:SS in specified timezone
      * @param {Date} utcDate - UTC Date object
@@ -190,20 +1033,7 @@ const TimezoneManager = (() => {
      * @returns {string} Formatted time "HH:MM:SS"
      */
     function formatTimeInTimezone(utcDate, timezone) {
-        const formatter = new Intl.DateTimeFormat('en-US', {
-            timeZone: timezone,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-        });
-        
-        const parts = formatter.formatToParts(utcDate);
-        const timeObj = {};
-        parts.forEach(part => {
-            timeObj[part.type] = part.value;
-        });
-        
+        const timeObj = getParts('time', utcDate, timezone);
         return `${timeObj.hour}:${timeObj.minute}:${timeObj.second}`;
     }
 
@@ -214,20 +1044,7 @@ const TimezoneManager = (() => {
      * @returns {object} {hour, minute, second, nextMinute}
      */
     function getTimeComponentsInTimezone(utcDate, timezone) {
-        const formatter = new Intl.DateTimeFormat('en-US', {
-            timeZone: timezone,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-        });
-        
-        const parts = formatter.formatToParts(utcDate);
-        const timeObj = {};
-        parts.forEach(part => {
-            timeObj[part.type] = part.value;
-        });
-        
+        const timeObj = getParts('time', utcDate, timezone);
         return {
             hour: parseInt(timeObj.hour, 10),
             minute: parseInt(timeObj.minute, 10),
@@ -250,204 +1067,4484 @@ const TimezoneManager = (() => {
     }
 
     /**
-     * Set selected timezone
-     * @param {string} tz - IANA timezone name
+     * Get full date and time components in specified timezone
+     * @param {Date} utcDate - UTC Date object
+     * @param {string} timezone - IANA timezone name
+     * @returns {object} {year, month (1-12), day, hour, minute, second}
      */
-    function setTimezone(tz) {
-        selectedTimezone = tz;
+    function getDateTimeComponentsInTimezone(utcDate, timezone) {
+        const timeObj = getParts('dateTime', utcDate, timezone);
+        return {
+            year: parseInt(timeObj.year, 10),
+            month: parseInt(timeObj.month, 10),
+            day: parseInt(timeObj.day, 10),
+            hour: parseInt(timeObj.hour, 10),
+            minute: parseInt(timeObj.minute, 10),
+            second: parseInt(timeObj.second, 10)
+        };
     }
 
     /**
-     * Get currently selected timezone
-     * @returns {string}
+     * Get a timezone's UTC offset at a given moment
+     * @param {Date} utcDate - UTC Date object
+     * @param {string} timezone - IANA timezone name
+     * @returns {number} Offset in milliseconds (positive east of Greenwich)
      */
-    function getTimezone() {
-        return selectedTimezone;
+    function getTimezoneOffsetMs(utcDate, timezone) {
+        const c = getDateTimeComponentsInTimezone(utcDate, timezone);
+        const wallAsUtc = Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second);
+        return wallAsUtc - Math.floor(utcDate.getTime() / 1000) * 1000;
     }
 
-    return {
-        getDefaultTimezone,
-        formatTimeInTimezone,
-        getTimeComponentsInTimezone,
-        getNextMinuteInTimezone,
-        setTimezone,
-        getTimezone
+    /**
+     * Convert a wall-clock time in a timezone to UTC
+     * Out-of-range fields roll over (day 32 is the 1st of next month).
+     * @param {object} wallTime - {year, month (1-12), day, hour, minute, second}
+     * @param {string} timezone - IANA timezone name
+     * @returns {number} UTC time in milliseconds
+     */
+    function wallTimeToUtcMs(wallTime, timezone) {
+        const { year, month, day, hour, minute, second } = wallTime;
+        const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+        // Apply the offset twice in case a DST change falls between the guess and the answer
+        let utcMs = wallAsUtc - getTimezoneOffsetMs(new Date(wallAsUtc), timezone);
+        utcMs = wallAsUtc - getTimezoneOffsetMs(new Date(utcMs), timezone);
+        return utcMs;
+    }
+
+    /**
+     * List every IANA timezone the browser supports, with UTC first
+     * @returns {Array<string>}
+     */
+    function getAllTimezones() {
+        let zones = FALLBACK_TIMEZONES;
+        if (typeof Intl.supportedValuesOf === 'function') {
+            try {
+                zones = Intl.supportedValuesOf('timeZone');
+            } catch (e) {
+                console.warn('Could not list timezones:', e);
+            }
+        }
+        return ['UTC', ...zones.filter(tz => tz !== 'UTC')];
+    }
+
+    /**
+     * Check that a timezone name is usable with Intl
+     * @param {string} tz - IANA timezone name
+     * @returns {boolean}
+     */
+    function isValidTimezone(tz) {
+        if (typeof tz !== 'string' || !tz) return false;
+        try {
+            getFormatter('time', tz);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Describe a timezone's current UTC offset and abbreviation
+     * @param {string} timezone - IANA timezone name
+     * @param {Date} utcDate - Moment to describe (offsets change with DST)
+     * @returns {object} {offsetMs, offsetLabel: "UTC+05:30", abbreviation: "EDT" or null}
+     */
+    function describeTimezone(timezone, utcDate) {
+        const offsetMs = getTimezoneOffsetMs(utcDate, timezone);
+        const sign = offsetMs < 0 ? '-' : '+';
+        const totalMinutes = Math.abs(offsetMs) / 60000;
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+
+        const namePart = getFormatter('name', timezone)
+            .formatToParts(utcDate)
+            .find(part => part.type === 'timeZoneName');
+        // Zones without a common abbreviation come back as "GMT+5:30"; drop those
+        const abbreviation = namePart && /^[A-Z]{2,5}$/.test(namePart.value) ? namePart.value : null;
+
+        return { offsetMs, offsetLabel: `UTC${sign}${hours}:${minutes}`, abbreviation };
+    }
+
+    /**
+     * Load favorites and the last selection from localStorage, then let a
+     * ?tz= URL parameter override the selection
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                favorites = (saved.favorites || []).filter(isValidTimezone);
+                if (isValidTimezone(saved.selected)) {
+                    selectedTimezone = savedTimezone = saved.selected;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load timezone settings:', e);
+        }
+
+        const fromUrl = new URLSearchParams(location.search).get('tz');
+        if (fromUrl) {
+            if (isValidTimezone(fromUrl)) {
+                selectedTimezone = fromUrl;
+            } else {
+                console.warn(`Ignoring unknown timezone in URL: ${fromUrl}`);
+            }
+        }
+    }
+
+    /**
+     * Persist favorites and the current selection to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ selected: savedTimezone, favorites }));
+        } catch (e) {
+            console.warn('Could not save timezone settings:', e);
+        }
+    }
+
+    /**
+     * Get pinned favorite timezones in the order they were added
+     * @returns {Array<string>}
+     */
+    function getFavorites() {
+        return [...favorites];
+    }
+
+    /**
+     * Pin or unpin a timezone as a favorite
+     * @param {string} tz - IANA timezone name
+     * @returns {boolean} Whether the zone is now a favorite
+     */
+    function toggleFavorite(tz) {
+        if (favorites.includes(tz)) {
+            favorites = favorites.filter(f => f !== tz);
+        } else {
+            favorites.push(tz);
+        }
+        saveSettings();
+        return favorites.includes(tz);
+    }
+
+    /**
+     * Set selected timezone
+     * @param {string} tz - IANA timezone name
+     */
+    function setTimezone(tz) {
+        selectedTimezone = savedTimezone = tz;
+        saveSettings();
+    }
+
+    /**
+     * Get currently selected timezone
+     * @returns {string}
+     */
+    function getTimezone() {
+        return selectedTimezone;
+    }
+
+    return {
+        init: loadSettings,
+        getDefaultTimezone,
+        getAllTimezones,
+        isValidTimezone,
+        describeTimezone,
+        getFavorites,
+        toggleFavorite,
+        formatTimeInTimezone,
+        getTimeComponentsInTimezone,
+        getNextMinuteInTimezone,
+        getDateTimeComponentsInTimezone,
+        getTimezoneOffsetMs,
+        wallTimeToUtcMs,
+        setTimezone,
+        getTimezone
+    };
+})();
+
+// ============================================================================
+// DISPLAY FORMAT MODULE
+// ============================================================================
+
+const DisplayFormat = (() => {
+    const STORAGE_KEY = 'timehack.format';
+    const STYLES = ['24h', 'military', '12h'];
+
+    // Military time zone letters by whole-hour UTC offset; J is the
+    // observer's local time and is not used for a named zone
+    const ZONE_LETTERS = {
+        0: 'Z',
+        1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'E', 6: 'F', 7: 'G', 8: 'H', 9: 'I', 10: 'K', 11: 'L', 12: 'M',
+        '-1': 'N', '-2': 'O', '-3': 'P', '-4': 'Q', '-5': 'R', '-6': 'S', '-7': 'T', '-8': 'U', '-9': 'V', '-10': 'W', '-11': 'X', '-12': 'Y'
+    };
+    // How zone letters and (in English) the digits of a military time are
+    // said in spoken callouts, see toSpeech
+    const PHONETIC_LETTERS = {
+        A: 'ALFA', B: 'BRAVO', C: 'CHARLIE', D: 'DELTA', E: 'ECHO', F: 'FOXTROT', G: 'GOLF', H: 'HOTEL',
+        I: 'INDIA', K: 'KILO', L: 'LIMA', M: 'MIKE', N: 'NOVEMBER', O: 'OSCAR', P: 'PAPA', Q: 'QUEBEC',
+        R: 'ROMEO', S: 'SIERRA', T: 'TANGO', U: 'UNIFORM', V: 'VICTOR', W: 'WHISKEY', X: 'X-RAY',
+        Y: 'YANKEE', Z: 'ZULU'
+    };
+    const NUMBER_WORDS = [
+        'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+        'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+    ];
+    const TENS_WORDS = ['', '', 'twenty', 'thirty', 'forty', 'fifty'];
+
+    // style: '24h' (14:32:15), 'military' (14:32:15R on the clock, 1432R in
+    // callouts) or '12h' (2:32:15 PM); tenths adds a tenths digit to the
+    // clocks; dateLine shows the date and day of year under the main clock
+    const settings = { style: '24h', tenths: false, dateLine: false };
+    let active = { ...settings };     // Differs from settings while URL parameters apply
+    const dateFormatters = new Map(); // `${locale}|${timezone}` -> Intl.DateTimeFormat
+
+    const DOM = {
+        styleSelect: document.getElementById('format-select'),
+        tenthsToggle: document.getElementById('format-tenths'),
+        dateToggle: document.getElementById('format-date')
+    };
+
+    /**
+     * Load the saved format from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                if (STYLES.includes(saved.style)) {
+                    settings.style = saved.style;
+                }
+                settings.tenths = saved.tenths === true;
+                settings.dateLine = saved.dateLine === true;
+            }
+        } catch (e) {
+            console.warn('Could not load display format:', e);
+        }
+        active = { ...settings };
+    }
+
+    /**
+     * Persist the format to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save display format:', e);
+        }
+    }
+
+    /**
+     * Military zone suffix for a timezone at a moment, e.g. "Z" or "R"
+     * Offsets that are not whole hours, or beyond ±12 h, have no letter and
+     * are given as " UTC+05:30" instead.
+     * @param {Date} utcDate - Moment (offsets change with DST)
+     * @param {string} timezone - IANA timezone name
+     * @returns {string}
+     */
+    function getZoneSuffix(utcDate, timezone) {
+        const offsetMs = TimezoneManager.getTimezoneOffsetMs(utcDate, timezone);
+        const letter = offsetMs % 3600000 === 0 ? ZONE_LETTERS[offsetMs / 3600000] : undefined;
+        return letter || ` ${TimezoneManager.describeTimezone(timezone, utcDate).offsetLabel}`;
+    }
+
+    /**
+     * Format a time of day in the selected style
+     * @param {Date} utcDate - Moment to format
+     * @param {string} timezone - IANA timezone name
+     * @param {boolean} clock - Clock form: always with seconds, tenths if
+     *   selected, and colons in the military style; otherwise the callout
+     *   form, with seconds only when they are not :00
+     * @returns {string}
+     */
+    function format(utcDate, timezone, clock) {
+        const { hour, minute, second } = TimezoneManager.getTimeComponentsInTimezone(utcDate, timezone);
+        const pad = (n) => String(n).padStart(2, '0');
+        let seconds = clock || second !== 0 ? `:${pad(second)}` : '';
+        if (clock && active.tenths) {
+            seconds += `.${Math.floor((((utcDate.getTime() % 1000) + 1000) % 1000) / 100)}`;
+        }
+
+        switch (active.style) {
+            case 'military':
+                return `${pad(hour)}${clock ? ':' : ''}${pad(minute)}${seconds}${getZoneSuffix(utcDate, timezone)}`;
+            case '12h':
+                return `${hour % 12 || 12}:${pad(minute)}${seconds} ${hour < 12 ? 'AM' : 'PM'}`;
+            default:
+                return `${pad(hour)}:${pad(minute)}${seconds}`;
+        }
+    }
+
+    /**
+     * Format a clock reading, e.g. "14:32:15", "14:32:15.3", "14:32:15R" or "2:32:15 PM"
+     * @param {Date} utcDate - Moment to show
+     * @param {string} timezone - IANA timezone name
+     * @returns {string}
+     */
+    function formatClock(utcDate, timezone) {
+        return format(utcDate, timezone, true);
+    }
+
+    /**
+     * The {time} and {zone} of a callout naming a moment on a clock, e.g.
+     * {time: "14:32", zone: "ZULU"}; in the military style the zone letter
+     * is part of the time ("1432Z") and the zone is left out
+     * @param {number} utcMs - Moment to name
+     * @param {object} reference - {timezone, label} of the clock
+     * @returns {object} {time, zone}
+     */
+    function describeTime(utcMs, reference) {
+        return {
+            time: format(new Date(utcMs), reference.timezone, false),
+            zone: active.style === 'military' ? '' : reference.label
+        };
+    }
+
+    /**
+     * Format the date line, e.g. "MON, 19 OCT 2026 · DAY 292 · JULIAN 6292"
+     * The Julian date is the last digit of the year and the day of the year.
+     * @param {Date} utcDate - Moment to show
+     * @param {string} timezone - IANA timezone name
+     * @returns {string}
+     */
+    function formatDateLine(utcDate, timezone) {
+        const { locale } = MessageCatalog.getSettings();
+        const key = `${locale}|${timezone}`;
+        if (!dateFormatters.has(key)) {
+            dateFormatters.set(key, new Intl.DateTimeFormat(locale, {
+                timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+            }));
+        }
+        const { year, month, day } = TimezoneManager.getDateTimeComponentsInTimezone(utcDate, timezone);
+        const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+        const julian = `${year % 10}${String(dayOfYear).padStart(3, '0')}`;
+        return `${dateFormatters.get(key).format(utcDate).toUpperCase()} · ` +
+            MessageCatalog.format('dayOfYear', { day: dayOfYear, julian });
+    }
+
+    /**
+     * Whether the date line is shown
+     * @returns {boolean}
+     */
+    function showsDateLine() {
+        return active.dateLine;
+    }
+
+    /**
+     * How often the clock reading changes
+     * @returns {number} Milliseconds: 100 with tenths, else 1000
+     */
+    function getTickMs() {
+        return active.tenths ? 100 : 1000;
+    }
+
+    /**
+     * Say a two-digit clock field the military way in English: "zero nine",
+     * "fourteen", "thirty-two"
+     * @param {number} n - 0 to 59
+     * @returns {string}
+     */
+    function sayField(n) {
+        if (n < 10) return `zero ${NUMBER_WORDS[n]}`;
+        if (n < 20) return NUMBER_WORDS[n];
+        return TENS_WORDS[Math.floor(n / 10)] + (n % 10 ? `-${NUMBER_WORDS[n % 10]}` : '');
+    }
+
+    /**
+     * Rewrite the military times in a callout the way they are spoken, since
+     * speech engines read "1432Z" as a number: "fourteen thirty-two ZULU",
+     * "zero nine hundred ROMEO". Other languages get the hours and minutes
+     * as separate numbers for the engine to read.
+     * @param {string} text - Callout text
+     * @returns {string}
+     */
+    function toSpeech(text) {
+        if (active.style !== 'military') return text;
+        const english = MessageCatalog.getSettings().locale === 'en';
+        return text.replace(/\b(\d{2})(\d{2})(?::(\d{2}))?([A-Z])?(?![\w:])/g, (match, h, m, sec, letter) => {
+            let spoken = english
+                ? `${sayField(+h)} ${+m === 0 ? 'hundred' : sayField(+m)}`
+                : `${h} ${m}`;
+            if (sec) {
+                spoken += english ? ` and ${sayField(+sec).replace(/^zero /, '')} seconds` : ` ${sec}`;
+            }
+            return letter ? `${spoken} ${PHONETIC_LETTERS[letter] || letter}` : spoken;
+        });
+    }
+
+    /**
+     * Get the format in use
+     * @returns {object} {style, tenths, dateLine}
+     */
+    function getSettings() {
+        return { ...active };
+    }
+
+    /**
+     * Use a format for this page load without saving it, e.g. from the URL
+     * @param {object} choice - {style, tenths, dateLine}; any may be left out
+     * @returns {boolean} Whether the style given is known
+     */
+    function setActive({ style = active.style, tenths = active.tenths, dateLine = active.dateLine }) {
+        if (!STYLES.includes(style)) return false;
+        active = { style, tenths, dateLine };
+        if (DOM.styleSelect) {
+            DOM.styleSelect.value = style;
+            DOM.tenthsToggle.checked = tenths;
+            DOM.dateToggle.checked = dateLine;
+        }
+        return true;
+    }
+
+    /**
+     * Set up the format controls
+     */
+    function setupEventListeners() {
+        DOM.styleSelect.value = active.style;
+        DOM.tenthsToggle.checked = active.tenths;
+        DOM.dateToggle.checked = active.dateLine;
+
+        DOM.styleSelect.addEventListener('change', () => {
+            settings.style = active.style = DOM.styleSelect.value;
+            saveSettings();
+        });
+        DOM.tenthsToggle.addEventListener('change', () => {
+            settings.tenths = active.tenths = DOM.tenthsToggle.checked;
+            saveSettings();
+        });
+        DOM.dateToggle.addEventListener('change', () => {
+            settings.dateLine = active.dateLine = DOM.dateToggle.checked;
+            saveSettings();
+        });
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            setupEventListeners();
+        },
+        loadSettings,
+        formatClock,
+        describeTime,
+        formatDateLine,
+        showsDateLine,
+        getTickMs,
+        toSpeech,
+        getSettings,
+        setActive
+    };
+})();
+
+// ============================================================================
+// MESSAGE CATALOG MODULE
+// ============================================================================
+
+const MessageCatalog = (() => {
+    const STORAGE_KEY = 'timehack.locale';
+
+    // Callout text per locale and phraseology. 'military' calls the moment a
+    // hack; 'civil' calls it a time check. A message missing from a set falls
+    // back to the locale's military set, then to English.
+    //   {time} - time in the display format, {zone} - clock label
+    const LOCALES = {
+        en: {
+            name: 'English',
+            speechLang: 'en-US',
+            messages: {
+                military: {
+                    standby: 'TEN SECONDS, STANDBY',
+                    hack: 'HACK, THE TIME IS NOW {time} {zone}',
+                    upcomingMinute: 'IN ONE MINUTE, THE TIME WILL BE {time} {zone}',
+                    upcomingHalf: '30 SECONDS TO HACK',
+                    nextHack: 'NEXT HACK {time} {zone}',
+                    standbyShort: 'STANDBY',
+                    targetAhead: 'HACK AT {time} {zone}',
+                    targetPassed: 'ELAPSED SINCE {time} {zone}',
+                    zoneZulu: 'ZULU',
+                    zoneLocal: 'LOCAL',
+                    dayOfYear: 'DAY {day} · JULIAN {julian}'
+                },
+                civil: {
+                    standby: 'TEN SECONDS',
+                    hack: 'TIME CHECK, THE TIME IS NOW {time} {zone}',
+                    upcomingHalf: '30 SECONDS TO TIME CHECK',
+                    nextHack: 'NEXT TIME CHECK {time} {zone}',
+                    standbyShort: 'STAND BY',
+                    targetAhead: 'TIME CHECK AT {time} {zone}',
+                    zoneZulu: 'UTC',
+                    zoneLocal: 'LOCAL TIME'
+                }
+            }
+        },
+        fr: {
+            name: 'Français',
+            speechLang: 'fr-FR',
+            messages: {
+                military: {
+                    standby: 'DIX SECONDES, ATTENTION',
+                    hack: 'TOP, IL EST {time} {zone}',
+                    upcomingMinute: 'DANS UNE MINUTE, IL SERA {time} {zone}',
+                    upcomingHalf: '30 SECONDES AVANT LE TOP',
+                    nextHack: 'PROCHAIN TOP {time} {zone}',
+                    standbyShort: 'ATTENTION',
+                    targetAhead: 'TOP À {time} {zone}',
+                    targetPassed: 'ÉCOULÉ DEPUIS {time} {zone}',
+                    zoneZulu: 'ZULU',
+                    zoneLocal: 'HEURE LOCALE',
+                    dayOfYear: 'JOUR {day} · JULIEN {julian}'
+                },
+                civil: {
+                    standby: 'DIX SECONDES',
+                    hack: 'IL EST EXACTEMENT {time} {zone}',
+                    upcomingHalf: '30 SECONDES AVANT LE TOP HORAIRE',
+                    nextHack: 'PROCHAIN TOP HORAIRE {time} {zone}',
+                    targetAhead: 'TOP HORAIRE À {time} {zone}',
+                    zoneZulu: 'UTC'
+                }
+            }
+        },
+        es: {
+            name: 'Español',
+            speechLang: 'es-ES',
+            messages: {
+                military: {
+                    standby: 'DIEZ SEGUNDOS, ATENCIÓN',
+                    hack: 'MARCA, LA HORA ES {time} {zone}',
+                    upcomingMinute: 'EN UN MINUTO, LA HORA SERÁ {time} {zone}',
+                    upcomingHalf: '30 SEGUNDOS PARA LA MARCA',
+                    nextHack: 'PRÓXIMA MARCA {time} {zone}',
+                    standbyShort: 'ATENCIÓN',
+                    targetAhead: 'MARCA A LAS {time} {zone}',
+                    targetPassed: 'TRANSCURRIDO DESDE {time} {zone}',
+                    zoneZulu: 'ZULÚ',
+                    zoneLocal: 'HORA LOCAL',
+                    dayOfYear: 'DÍA {day} · JULIANO {julian}'
+                },
+                civil: {
+                    standby: 'DIEZ SEGUNDOS',
+                    hack: 'LA HORA EXACTA ES {time} {zone}',
+                    upcomingHalf: '30 SEGUNDOS PARA LA SEÑAL HORARIA',
+                    nextHack: 'PRÓXIMA SEÑAL HORARIA {time} {zone}',
+                    targetAhead: 'SEÑAL HORARIA A LAS {time} {zone}',
+                    zoneZulu: 'UTC'
+                }
+            }
+        }
+    };
+    const PHRASEOLOGIES = ['military', 'civil'];
+
+    const settings = { locale: 'en', phraseology: 'military' };
+    let active = { ...settings };     // Differs from settings while URL parameters apply
+
+    const DOM = {
+        localeSelect: document.getElementById('locale-select'),
+        phraseologySelect: document.getElementById('phraseology-select')
+    };
+
+    /**
+     * Load the saved locale and phraseology from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                if (saved.locale in LOCALES) {
+                    settings.locale = saved.locale;
+                }
+                if (PHRASEOLOGIES.includes(saved.phraseology)) {
+                    settings.phraseology = saved.phraseology;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load callout language:', e);
+        }
+        active = { ...settings };
+    }
+
+    /**
+     * Persist the locale and phraseology to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save callout language:', e);
+        }
+    }
+
+    /**
+     * Look up a message in the selected locale and phraseology
+     * @param {string} key - Message key, e.g. 'hack'
+     * @returns {string|undefined}
+     */
+    function get(key) {
+        const set = [LOCALES[active.locale], LOCALES.en]
+            .flatMap(({ messages }) => [messages[active.phraseology], messages.military])
+            .find(messages => key in messages);
+        return set && set[key];
+    }
+
+    /**
+     * Look up a message and fill its {name} placeholders
+     * @param {string} key - Message key
+     * @param {object} values - Placeholder values, e.g. {time, zone}
+     * @returns {string}
+     */
+    function format(key, values) {
+        return get(key).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    /**
+     * Resolve cue text from a profile: "@key" stands for a catalog message,
+     * anything else is used as written
+     * @param {string} template - Profile text
+     * @returns {string}
+     */
+    function resolve(template) {
+        return template.startsWith('@') ? get(template.slice(1)) || template : template;
+    }
+
+    /**
+     * Get the language tag for spoken callouts
+     * @returns {string} e.g. 'fr-FR'
+     */
+    function getSpeechLang() {
+        return LOCALES[active.locale].speechLang;
+    }
+
+    /**
+     * Get the locale and phraseology in use
+     * @returns {object} {locale, phraseology}
+     */
+    function getSettings() {
+        return { ...active };
+    }
+
+    /**
+     * Use a locale or phraseology for this page load without saving it,
+     * e.g. from the URL
+     * @param {object} choice - {locale, phraseology}; either may be left out
+     * @returns {boolean} Whether the values given are known
+     */
+    function setActive({ locale = active.locale, phraseology = active.phraseology }) {
+        if (!(locale in LOCALES) || !PHRASEOLOGIES.includes(phraseology)) return false;
+        active = { locale, phraseology };
+        if (DOM.localeSelect) {
+            DOM.localeSelect.value = locale;
+            DOM.phraseologySelect.value = phraseology;
+        }
+        return true;
+    }
+
+    /**
+     * Fill the selectors and follow their changes
+     */
+    function setupEventListeners() {
+        DOM.localeSelect.replaceChildren(...Object.entries(LOCALES).map(([code, { name }]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            return option;
+        }));
+        DOM.localeSelect.value = active.locale;
+        DOM.phraseologySelect.value = active.phraseology;
+
+        DOM.localeSelect.addEventListener('change', () => {
+            settings.locale = active.locale = DOM.localeSelect.value;
+            saveSettings();
+        });
+        DOM.phraseologySelect.addEventListener('change', () => {
+            settings.phraseology = active.phraseology = DOM.phraseologySelect.value;
+            saveSettings();
+        });
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            setupEventListeners();
+        },
+        loadSettings,
+        get,
+        format,
+        resolve,
+        getSpeechLang,
+        getSettings,
+        setActive
+    };
+})();
+
+// ============================================================================
+// CLOCK BOARD MODULE
+// ============================================================================
+
+const ClockBoardManager = (() => {
+    const STORAGE_KEY = 'timehack.clocks';
+    const PRIMARY_ID = 'primary';
+
+    // Secondary clocks shown under the primary one: [{id, timezone, label}]
+    // A null label follows labelFor(), so it changes with the callout language
+    let secondaryClocks = [
+        { id: 'zulu', timezone: 'UTC', label: null },
+        { id: 'local', timezone: TimezoneManager.getDefaultTimezone(), label: null }
+    ];
+    let referenceId = PRIMARY_ID;     // Clock the countdown and HACK callouts name
+    let renderedBoardKey = null;
+
+    const DOM = {
+        clockLabel: document.getElementById('clock-label'),
+        primaryReference: document.getElementById('clock-reference'),
+        board: document.getElementById('clock-board'),
+        addForm: document.getElementById('clock-add-form'),
+        addZone: document.getElementById('clock-add-zone'),
+        addLabel: document.getElementById('clock-add-label'),
+        zoneList: document.getElementById('clock-zone-list')
+    };
+
+    /**
+     * Suggest a label for a timezone: ZULU, LOCAL, or the city name
+     * @param {string} timezone - IANA timezone name
+     * @returns {string}
+     */
+    function labelFor(timezone) {
+        if (timezone === 'UTC' || timezone === 'Etc/UTC') return MessageCatalog.get('zoneZulu');
+        if (timezone === TimezoneManager.getDefaultTimezone()) return MessageCatalog.get('zoneLocal');
+        return timezone.split('/').pop().replace(/_/g, ' ').toUpperCase();
+    }
+
+    /**
+     * Fill in a clock's automatic label
+     * @param {object} clock - {id, timezone, label}
+     * @returns {object} The clock with its label to show
+     */
+    function withLabel(clock) {
+        return clock.label ? clock : { ...clock, label: labelFor(clock.timezone) };
+    }
+
+    /**
+     * Load secondary clocks and the callout reference from localStorage
+     */
+    function loadClocks() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                secondaryClocks = (saved.clocks || []).filter(c => TimezoneManager.isValidTimezone(c.timezone));
+                referenceId = saved.reference || PRIMARY_ID;
+            }
+        } catch (e) {
+            console.warn('Could not load clock board:', e);
+        }
+        if (referenceId !== PRIMARY_ID && !secondaryClocks.some(c => c.id === referenceId)) {
+            referenceId = PRIMARY_ID;
+        }
+    }
+
+    /**
+     * Persist secondary clocks and the callout reference to localStorage
+     */
+    function saveClocks() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ clocks: secondaryClocks, reference: referenceId }));
+        } catch (e) {
+            console.warn('Could not save clock board:', e);
+        }
+    }
+
+    /**
+     * Add a secondary clock
+     * @param {string} timezone - IANA timezone name
+     * @param {string} label - Display label; empty to follow labelFor(timezone)
+     * @returns {object} The new clock
+     */
+    function addClock(timezone, label) {
+        if (!TimezoneManager.isValidTimezone(timezone)) {
+            throw new Error(`Unknown timezone: ${timezone}`);
+        }
+        const clock = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            timezone,
+            label: label && label.trim() ? label.trim().toUpperCase() : null
+        };
+        secondaryClocks.push(clock);
+        saveClocks();
+        return clock;
+    }
+
+    /**
+     * Remove a secondary clock
+     * @param {string} id - Clock id
+     */
+    function removeClock(id) {
+        secondaryClocks = secondaryClocks.filter(c => c.id !== id);
+        if (referenceId === id) {
+            referenceId = PRIMARY_ID;
+        }
+        saveClocks();
+    }
+
+    /**
+     * Make a clock the one the countdown and HACK callouts refer to
+     * @param {string} id - Clock id, or 'primary'
+     */
+    function setReferenceClock(id) {
+        if (id !== PRIMARY_ID && !secondaryClocks.some(c => c.id === id)) return;
+        referenceId = id;
+        saveClocks();
+    }
+
+    /**
+     * Get the clock the callouts name, e.g. "HACK, THE TIME IS NOW 14:32 ZULU"
+     * @returns {object} {id, timezone, label}
+     */
+    function getReferenceClock() {
+        const secondary = secondaryClocks.find(c => c.id === referenceId);
+        if (secondary) return withLabel(secondary);
+        const timezone = TimezoneManager.getTimezone();
+        return { id: PRIMARY_ID, timezone, label: labelFor(timezone) };
+    }
+
+    /**
+     * Get all clocks, primary first
+     * @returns {Array<object>} [{id, timezone, label}]
+     */
+    function getClocks() {
+        const timezone = TimezoneManager.getTimezone();
+        return [{ id: PRIMARY_ID, timezone, label: labelFor(timezone) }, ...secondaryClocks.map(withLabel)];
+    }
+
+    /**
+     * Whole days a timezone's calendar date is ahead of another's
+     * @param {Date} utcDate - Moment to compare
+     * @param {string} timezone - Zone of interest
+     * @param {string} baseTimezone - Zone to compare against
+     * @returns {number} e.g. 1 when it is already tomorrow there
+     */
+    function getDayOffset(utcDate, timezone, baseTimezone) {
+        const a = TimezoneManager.getDateTimeComponentsInTimezone(utcDate, timezone);
+        const b = TimezoneManager.getDateTimeComponentsInTimezone(utcDate, baseTimezone);
+        return Math.round((Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000);
+    }
+
+    /**
+     * Rebuild the secondary clock cards when the set of clocks changes
+     */
+    function buildBoard() {
+        DOM.board.replaceChildren(...secondaryClocks.map(clock => {
+            const card = document.createElement('div');
+            card.className = 'board-clock';
+            card.dataset.id = clock.id;
+            card.innerHTML = `
+                <div class="board-clock-header">
+                    <button class="board-reference" type="button" title="Name this clock in callouts"></button>
+                    <span class="board-label"></span>
+                    <button class="board-remove" type="button" title="Remove clock">×</button>
+                </div>
+                <div class="board-time"><span class="board-time-value"></span><sup class="board-day-offset"></sup></div>`;
+            card.querySelector('.board-label').textContent = withLabel(clock).label;
+            card.querySelector('.board-label').title = clock.timezone;
+            card.querySelector('.board-reference').addEventListener('click', () => setReferenceClock(clock.id));
+            card.querySelector('.board-remove').addEventListener('click', () => removeClock(clock.id));
+            return card;
+        }));
+    }
+
+    /**
+     * Update the primary label and every secondary clock
+     * @param {Date} utcDate - Current UTC time
+     */
+    function render(utcDate) {
+        const primaryTimezone = TimezoneManager.getTimezone();
+        const boardKey = JSON.stringify([secondaryClocks, referenceId, primaryTimezone, MessageCatalog.getSettings()]);
+        if (boardKey !== renderedBoardKey) {
+            renderedBoardKey = boardKey;
+            buildBoard();
+            DOM.clockLabel.textContent = labelFor(primaryTimezone);
+            DOM.primaryReference.classList.toggle('active', referenceId === PRIMARY_ID);
+            DOM.board.querySelectorAll('.board-clock').forEach(card => {
+                card.querySelector('.board-reference').classList.toggle('active', card.dataset.id === referenceId);
+            });
+        }
+
+        DOM.board.querySelectorAll('.board-clock').forEach((card, i) => {
+            const clock = secondaryClocks[i];
+            const timeEl = card.querySelector('.board-time-value');
+            const time = DisplayFormat.formatClock(utcDate, clock.timezone);
+            if (timeEl.textContent !== time) {
+                timeEl.textContent = time;
+            }
+            const offsetEl = card.querySelector('.board-day-offset');
+            const dayOffset = getDayOffset(utcDate, clock.timezone, primaryTimezone);
+            const offsetText = dayOffset === 0 ? '' : `${dayOffset > 0 ? '+' : '−'}${Math.abs(dayOffset)}`;
+            if (offsetEl.textContent !== offsetText) {
+                offsetEl.textContent = offsetText;
+            }
+        });
+    }
+
+    /**
+     * Set up the add-clock form and the primary clock's reference toggle
+     */
+    function setupEventListeners() {
+        DOM.zoneList.replaceChildren(...TimezoneManager.getAllTimezones().map(tz => {
+            const option = document.createElement('option');
+            option.value = tz;
+            return option;
+        }));
+
+        DOM.addZone.addEventListener('change', () => {
+            if (!DOM.addLabel.value && TimezoneManager.isValidTimezone(DOM.addZone.value)) {
+                DOM.addLabel.placeholder = labelFor(DOM.addZone.value);
+            }
+        });
+
+        DOM.addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                addClock(DOM.addZone.value.trim(), DOM.addLabel.value);
+                DOM.addZone.value = '';
+                DOM.addLabel.value = '';
+                DOM.addLabel.placeholder = 'Label';
+                DOM.addZone.setCustomValidity('');
+            } catch (err) {
+                DOM.addZone.setCustomValidity(err.message);
+                DOM.addZone.reportValidity();
+            }
+        });
+
+        DOM.addZone.addEventListener('input', () => DOM.addZone.setCustomValidity(''));
+        DOM.primaryReference.addEventListener('click', () => setReferenceClock(PRIMARY_ID));
+    }
+
+    return {
+        init: () => {
+            loadClocks();
+            setupEventListeners();
+        },
+        labelFor,
+        addClock,
+        removeClock,
+        getClocks,
+        setReferenceClock,
+        getReferenceClock,
+        render
+    };
+})();
+
+// ============================================================================
+// CUE PROFILE MODULE
+// ============================================================================
+
+const CueProfileManager = (() => {
+    const STORAGE_KEY = 'timehack.profiles';
+    const DEFAULT_PROFILE_ID = 'every-minute';
+
+    // Standard minute-hack staging, shared by the built-in profiles below
+    const STANDARD_STAGES = [
+        { type: 'standby', from: 10, to: 6, text: '@standby', announce: 'first' },
+        { type: 'countdown', from: 5, to: 1, text: '{n}', skip: [4], announce: 'each' }
+    ];
+    const STANDARD_UPCOMING = [
+        { minSeconds: 31, text: '@upcomingMinute' },
+        { minSeconds: 0, text: '@upcomingHalf' }
+    ];
+    const STANDARD_HACK_TEXT = '@hack';
+
+    /*
+     * Profile fields:
+     *   hackIntervalSec  - hack on every UTC multiple of this (without a target)
+     *   flashSeconds     - extra UTC seconds of the minute with a full flash
+     *   hackFlash        - full flash on the hack itself
+     *   flash            - {count, durationMs, intervalMs, style} for full flashes
+     *   countdownFlash   - same shape, fired on every countdown second, or null
+     *   stages           - [{type, from, to, text, skip, announce}] counting down
+     *                      in whole seconds to the hack; {n} is the seconds left;
+     *                      announce is 'first' (stage start only) or 'each'
+     *   hackText         - message at the hack, '' for none; {time} is HH:MM
+     *                      and {zone} the label of the clock callouts refer to
+     *   upcoming         - footer text between countdowns, first entry whose
+     *                      minSeconds <= seconds to the hack wins
+     *   holdMs           - how long the hack message stays up
+     * Any text may be "@key" to use a message from MessageCatalog in the
+     * selected language and phraseology, e.g. "@hack".
+     */
+    const BUILT_IN_PROFILES = [
+        {
+            id: 'every-minute',
+            name: 'Every minute',
+            hackIntervalSec: 60,
+            flashSeconds: [30],
+            hackFlash: true,
+            flash: { count: 3, durationMs: 150, intervalMs: 160, style: 'regular' },
+            countdownFlash: { count: 1, durationMs: 150, intervalMs: 160, style: 'countdown' },
+            stages: STANDARD_STAGES,
+            hackText: STANDARD_HACK_TEXT,
+            upcoming: STANDARD_UPCOMING,
+            holdMs: 5000
+        },
+        {
+            id: 'every-30s',
+            name: 'Every 30 s',
+            hackIntervalSec: 30,
+            flashSeconds: [],
+            hackFlash: true,
+            flash: { count: 3, durationMs: 150, intervalMs: 160, style: 'regular' },
+            countdownFlash: { count: 1, durationMs: 150, intervalMs: 160, style: 'countdown' },
+            stages: STANDARD_STAGES,
+            hackText: STANDARD_HACK_TEXT,
+            upcoming: [
+                { minSeconds: 11, text: '@nextHack' },
+                { minSeconds: 0, text: '@standbyShort' }
+            ],
+            holdMs: 4000
+        },
+        {
+            id: 'countdown-only',
+            name: '5-second countdown only',
+            hackIntervalSec: 60,
+            flashSeconds: [],
+            hackFlash: true,
+            flash: { count: 1, durationMs: 300, intervalMs: 160, style: 'regular' },
+            countdownFlash: { count: 1, durationMs: 150, intervalMs: 160, style: 'countdown' },
+            stages: [
+                { type: 'countdown', from: 5, to: 1, text: '{n}', announce: 'each' }
+            ],
+            hackText: STANDARD_HACK_TEXT,
+            upcoming: STANDARD_UPCOMING,
+            holdMs: 5000
+        },
+        {
+            id: 'silent',
+            name: 'Silent',
+            hackIntervalSec: 60,
+            flashSeconds: [],
+            hackFlash: false,
+            flash: { count: 0, durationMs: 150, intervalMs: 160, style: 'regular' },
+            countdownFlash: null,
+            stages: [],
+            hackText: '',
+            upcoming: STANDARD_UPCOMING,
+            holdMs: 0
+        }
+    ].map(validateProfile);
+
+    let customProfiles = [];
+    let activeProfileId = DEFAULT_PROFILE_ID;
+    let sessionProfile = null;        // Profile pushed by a session leader; overrides the selection
+    let temporaryProfile = null;      // Profile given in the URL; selectable but never saved
+
+    const DOM = {
+        profileBtn: document.getElementById('profile-btn'),
+        panel: document.getElementById('profile-panel'),
+        select: document.getElementById('profile-select'),
+        editor: document.getElementById('profile-editor'),
+        saveBtn: document.getElementById('profile-save'),
+        deleteBtn: document.getElementById('profile-delete'),
+        importInput: document.getElementById('profile-import'),
+        exportBtn: document.getElementById('profile-export'),
+        message: document.getElementById('profile-message')
+    };
+
+    /**
+     * Validate a profile and fill in optional fields
+     * @param {object} profile - Parsed profile data
+     * @returns {object} Normalized copy
+     * @throws {Error} Describing the first problem found
+     */
+    function validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Profile must be a JSON object');
+        }
+        if (typeof profile.id !== 'string' || !/^[a-z0-9-]+$/.test(profile.id)) {
+            throw new Error('Profile id must be lowercase letters, digits and dashes');
+        }
+        if (typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error(`Profile ${profile.id} needs a name`);
+        }
+
+        const interval = profile.hackIntervalSec ?? 60;
+        if (!Number.isInteger(interval) || interval < 1 || interval > 3600) {
+            throw new Error('hackIntervalSec must be a whole number of seconds from 1 to 3600');
+        }
+
+        const checkFlash = (flash, field) => {
+            if (flash === null) return null;
+            if (typeof flash !== 'object' || Array.isArray(flash)) {
+                throw new Error(`${field} must be an object or null`);
+            }
+            const normalized = { count: 3, durationMs: 150, intervalMs: 160, style: 'regular', ...flash };
+            if (!Number.isInteger(normalized.count) || normalized.count < 0) {
+                throw new Error(`${field}.count must be a whole number`);
+            }
+            ['durationMs', 'intervalMs'].forEach(key => {
+                if (!Number.isFinite(normalized[key]) || normalized[key] < 0) {
+                    throw new Error(`${field}.${key} must be a number of milliseconds, 0 or more`);
+                }
+            });
+            if (normalized.style !== 'regular' && normalized.style !== 'countdown') {
+                throw new Error(`${field}.style must be "regular" or "countdown"`);
+            }
+            return normalized;
+        };
+
+        const rawStages = profile.stages ?? [];
+        if (!Array.isArray(rawStages)) {
+            throw new Error('stages must be a list');
+        }
+        const stages = rawStages.map((stage, i) => {
+            if (!stage || typeof stage !== 'object') {
+                throw new Error(`stages[${i}] must be an object`);
+            }
+            if (!Number.isInteger(stage.from) || !Number.isInteger(stage.to) || stage.to < 1 || stage.from < stage.to) {
+                throw new Error(`stages[${i}] needs whole seconds with from >= to >= 1`);
+            }
+            if (typeof stage.text !== 'string') {
+                throw new Error(`stages[${i}] needs text`);
+            }
+            const skip = stage.skip ?? [];
+            if (!Array.isArray(skip) || !skip.every(Number.isInteger)) {
+                throw new Error(`stages[${i}].skip must be a list of whole seconds`);
+            }
+            return {
+                type: stage.type === 'standby' ? 'standby' : 'countdown',
+                from: stage.from,
+                to: stage.to,
+                text: stage.text,
+                skip,
+                announce: stage.announce === 'each' ? 'each' : 'first'
+            };
+        });
+
+        const flashSeconds = profile.flashSeconds ?? [];
+        if (!Array.isArray(flashSeconds)) {
+            throw new Error('flashSeconds must be a list');
+        }
+
+        const upcoming = profile.upcoming ?? STANDARD_UPCOMING;
+        if (!Array.isArray(upcoming) || upcoming.some(u => !u || typeof u.text !== 'string' || !Number.isFinite(u.minSeconds))) {
+            throw new Error('upcoming must be a list of {minSeconds, text}');
+        }
+
+        return {
+            id: profile.id,
+            name: profile.name.trim(),
+            hackIntervalSec: interval,
+            flashSeconds: flashSeconds.filter(s => Number.isInteger(s) && s >= 0 && s < 60),
+            hackFlash: profile.hackFlash !== false,
+            flash: checkFlash(profile.flash ?? {}, 'flash'),
+            countdownFlash: checkFlash(profile.countdownFlash ?? null, 'countdownFlash'),
+            stages,
+            hackText: typeof profile.hackText === 'string' ? profile.hackText : STANDARD_HACK_TEXT,
+            upcoming: [...upcoming].sort((a, b) => b.minSeconds - a.minSeconds),
+            holdMs: Number.isFinite(profile.holdMs) ? Math.max(0, profile.holdMs) : 5000
+        };
+    }
+
+    /**
+     * Load custom profiles and the active selection from localStorage
+     */
+    function loadProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                customProfiles = (saved.custom || []).map(validateProfile);
+                if (findProfile(saved.active)) {
+                    activeProfileId = saved.active;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load cue profiles:', e);
+        }
+    }
+
+    /**
+     * Persist custom profiles and the active selection to localStorage
+     */
+    function saveProfiles() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                active: activeProfileId,
+                custom: customProfiles
+            }));
+        } catch (e) {
+            console.warn('Could not save cue profiles:', e);
+        }
+    }
+
+    /**
+     * Look up a profile by id: the temporary profile first, then custom ones
+     * @param {string} id - Profile id
+     * @returns {object|undefined}
+     */
+    function findProfile(id) {
+        if (temporaryProfile && temporaryProfile.id === id) return temporaryProfile;
+        return customProfiles.find(p => p.id === id) || BUILT_IN_PROFILES.find(p => p.id === id);
+    }
+
+    /**
+     * Get all profiles, built-in first and the temporary one last
+     * @returns {Array<object>}
+     */
+    function getProfiles() {
+        const temporaryId = temporaryProfile && temporaryProfile.id;
+        const customIds = new Set(customProfiles.map(p => p.id));
+        return [
+            ...BUILT_IN_PROFILES.filter(p => !customIds.has(p.id) && p.id !== temporaryId),
+            ...customProfiles.filter(p => p.id !== temporaryId),
+            ...(temporaryProfile ? [temporaryProfile] : [])
+        ];
+    }
+
+    /**
+     * Get the profile currently driving the cues
+     * @returns {object}
+     */
+    function getActiveProfile() {
+        return sessionProfile || findProfile(activeProfileId) || BUILT_IN_PROFILES[0];
+    }
+
+    /**
+     * Use a profile received from a session leader without saving it
+     * @param {object|null} profile - Profile data, or null to return to the
+     *   user's own selection
+     */
+    function setSessionProfile(profile) {
+        sessionProfile = profile && validateProfile(profile);
+    }
+
+    /**
+     * Select a profile for this page load without saving it, e.g. one given
+     * in the URL. One with the id of a built-in or custom profile hides that
+     * profile until the next load.
+     * @param {object} profile - Profile data
+     * @returns {object} The normalized profile
+     * @throws {Error} If the profile is invalid (see validateProfile)
+     */
+    function useTemporaryProfile(profile) {
+        temporaryProfile = validateProfile(profile);
+        activeProfileId = temporaryProfile.id;
+        return temporaryProfile;
+    }
+
+    /**
+     * Switch the active profile
+     * @param {string} id - Profile id
+     * @param {boolean} [persist] - Remember the choice; false for one-off
+     *   selections such as a profile given in the URL
+     * @returns {boolean} Whether the profile exists
+     */
+    function setActiveProfile(id, persist = true) {
+        if (!findProfile(id)) return false;
+        activeProfileId = id;
+        if (persist) {
+            saveProfiles();
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a profile is one of the built-in ones, unmodified
+     * @param {string} id - Profile id
+     * @returns {boolean}
+     */
+    function isBuiltInProfile(id) {
+        const builtIn = BUILT_IN_PROFILES.find(p => p.id === id);
+        return Boolean(builtIn) && findProfile(id) === builtIn;
+    }
+
+    /**
+     * Add or replace a custom profile
+     * A custom profile with a built-in id overrides the built-in one.
+     * @param {object} profile - Profile data
+     * @returns {object} The normalized profile
+     */
+    function saveProfile(profile) {
+        const normalized = validateProfile(profile);
+        const index = customProfiles.findIndex(p => p.id === normalized.id);
+        if (index >= 0) {
+            customProfiles[index] = normalized;
+        } else {
+            customProfiles.push(normalized);
+        }
+        saveProfiles();
+        return normalized;
+    }
+
+    /**
+     * Delete a custom profile (built-in overrides revert to the original)
+     * @param {string} id - Profile id
+     */
+    function deleteProfile(id) {
+        customProfiles = customProfiles.filter(p => p.id !== id);
+        if (!findProfile(activeProfileId)) {
+            activeProfileId = DEFAULT_PROFILE_ID;
+        }
+        saveProfiles();
+    }
+
+    /**
+     * Fill a cue text template, looking up "@key" templates in MessageCatalog
+     * {n} is the whole seconds to the hack, {time} the hack time in the
+     * selected display format (with seconds when the hack is not on a minute)
+     * and {zone} the label of the clock board's reference clock, whose zone
+     * {time} is given in; see DisplayFormat.describeTime.
+     * @param {string} template - Text from a profile
+     * @param {number} secondsToHack - Whole seconds until the hack
+     * @param {number} hackUtcMs - UTC time of the hack in milliseconds
+     * @param {object} [reference] - {timezone, label} of the clock to name;
+     *   defaults to the clock board's reference clock
+     * @returns {string}
+     */
+    function formatCueText(template, secondsToHack, hackUtcMs, reference = ClockBoardManager.getReferenceClock()) {
+        const { time, zone } = DisplayFormat.describeTime(hackUtcMs, reference);
+        return MessageCatalog.resolve(template)
+            .replace(/\{n\}/g, String(secondsToHack))
+            .replace(/\{zone\}/g, zone)
+            .replace(/\{time\}/g, time)
+            .replace(/ {2,}/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Show a status or error line in the profile panel
+     * @param {string} text - Message
+     * @param {boolean} isError - Style as an error
+     */
+    function showMessage(text, isError = false) {
+        DOM.message.textContent = text;
+        DOM.message.classList.toggle('error', isError);
+    }
+
+    /**
+     * Rebuild the profile list and load the active profile into the editor
+     */
+    function renderPanel() {
+        const active = getActiveProfile();
+        DOM.select.replaceChildren(...getProfiles().map(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile === temporaryProfile ? `${profile.name} (from link)`
+                : customProfiles.includes(profile) ? `${profile.name} (custom)` : profile.name;
+            return option;
+        }));
+        DOM.select.value = active.id;
+        DOM.editor.value = JSON.stringify(active, null, 2);
+        DOM.deleteBtn.disabled = !customProfiles.includes(active);
+    }
+
+    /**
+     * Download the active profile as a JSON file
+     */
+    function exportActiveProfile() {
+        const profile = getActiveProfile();
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `timehack-profile-${profile.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Import one profile or a list of profiles from a JSON file
+     * @param {File} file - Selected file
+     */
+    async function importProfiles(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = (Array.isArray(data) ? data : [data]).map(saveProfile);
+            setActiveProfile(imported[imported.length - 1].id);
+            renderPanel();
+            showMessage(`Imported ${imported.map(p => p.name).join(', ')}`);
+        } catch (e) {
+            showMessage(`Import failed: ${e.message}`, true);
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.profileBtn.addEventListener('click', () => {
+            const opening = DOM.panel.classList.contains('hidden');
+            DOM.panel.classList.toggle('hidden', !opening);
+            DOM.profileBtn.classList.toggle('active', opening);
+            if (opening) {
+                renderPanel();
+                showMessage('');
+            }
+        });
+
+        DOM.select.addEventListener('change', (e) => {
+            setActiveProfile(e.target.value);
+            renderPanel();
+            showMessage('');
+        });
+
+        DOM.saveBtn.addEventListener('click', () => {
+            try {
+                const profile = saveProfile(JSON.parse(DOM.editor.value));
+                setActiveProfile(profile.id);
+                renderPanel();
+                showMessage(`Saved ${profile.name}`);
+            } catch (e) {
+                showMessage(`Not saved: ${e.message}`, true);
+            }
+        });
+
+        DOM.deleteBtn.addEventListener('click', () => {
+            deleteProfile(getActiveProfile().id);
+            renderPanel();
+            showMessage('Deleted');
+        });
+
+        DOM.exportBtn.addEventListener('click', exportActiveProfile);
+
+        DOM.importInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                importProfiles(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+    }
+
+    return {
+        init: () => {
+            loadProfiles();
+            setupEventListeners();
+        },
+        loadProfiles,
+        findProfile,
+        getProfiles,
+        getActiveProfile,
+        setActiveProfile,
+        isBuiltInProfile,
+        setSessionProfile,
+        useTemporaryProfile,
+        saveProfile,
+        deleteProfile,
+        formatCueText
+    };
+})();
+
+// ============================================================================
+// TARGET TIME MODULE
+// ============================================================================
+
+const TargetTimeManager = (() => {
+    let targetUtcMs = null;           // Time-on-target, or null to hack every minute
+
+    const UNIT_MS = {
+        h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+        m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+        s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000
+    };
+
+    /**
+     * Parse a relative duration such as "7 minutes 30 seconds", "7m30s",
+     * "7:30" or "1:07:30"
+     * @param {string} text - Duration without the leading "in" or "+"
+     * @returns {number|null} Duration in milliseconds
+     */
+    function parseDuration(text) {
+        const clock = text.match(/^(?:(\d+):)?(\d+):(\d{2})$/);
+        if (clock) {
+            const [, h = '0', m, s] = clock;
+            return ((+h * 60 + +m) * 60 + +s) * 1000;
+        }
+
+        const compact = text.replace(/,|\band\b|\s+/g, '');
+        if (!/^(\d+(?:\.\d+)?[a-z]+)+$/.test(compact)) return null;
+
+        let total = 0;
+        for (const [, value, unit] of compact.matchAll(/(\d+(?:\.\d+)?)([a-z]+)/g)) {
+            if (!(unit in UNIT_MS)) return null;
+            total += parseFloat(value) * UNIT_MS[unit];
+        }
+        return total;
+    }
+
+    /**
+     * Parse a target time entered by the user
+     * Accepts:
+     *   "14:32:00Z", "14:32Z", "1432Z"  - next occurrence of that UTC time
+     *   "14:32:00", "14:32"              - next occurrence in the selected timezone
+     *   "in 7 minutes 30 seconds", "+7:30", "in 7m30s" - relative to now
+     *   "2026-10-19T14:32:00Z"           - full ISO 8601 date/time
+     * @param {string} input - User input
+     * @param {number} nowUtcMs - Current UTC time in milliseconds
+     * @param {string} [localTimezone] - Zone of times without a Z; defaults
+     *   to the selected timezone
+     * @returns {number} Target UTC time in milliseconds, on a whole second
+     */
+    function parseTarget(input, nowUtcMs, localTimezone = TimezoneManager.getTimezone()) {
+        const text = input.trim().toLowerCase();
+
+        const relative = text.match(/^(?:in\s+|\+\s*)(.+)$/);
+        if (relative) {
+            const durationMs = parseDuration(relative[1].trim());
+            if (durationMs === null || durationMs <= 0) {
+                throw new Error(`Unrecognized duration: "${input}"`);
+            }
+            return Math.round((nowUtcMs + durationMs) / 1000) * 1000;
+        }
+
+        const timeOfDay = text.match(/^(\d{1,2}):?(\d{2})(?::?(\d{2}))?\s*(z)?$/);
+        if (timeOfDay) {
+            const [, h, m, s = '0', zulu] = timeOfDay;
+            if (+h > 23 || +m > 59 || +s > 59) {
+                throw new Error(`Invalid time of day: "${input}"`);
+            }
+            const timezone = zulu ? 'UTC' : localTimezone;
+            const { year, month, day } = TimezoneManager.getDateTimeComponentsInTimezone(new Date(nowUtcMs), timezone);
+            const wallTime = { year, month, day, hour: +h, minute: +m, second: +s };
+            let target = TimezoneManager.wallTimeToUtcMs(wallTime, timezone);
+            if (target <= nowUtcMs) {
+                // Already passed today - take tomorrow's
+                wallTime.day += 1;
+                target = TimezoneManager.wallTimeToUtcMs(wallTime, timezone);
+            }
+            return target;
+        }
+
+        if (/^\d{4}-\d{2}-\d{2}t/.test(text)) {
+            const target = Date.parse(input.trim());
+            if (Number.isFinite(target)) {
+                return Math.round(target / 1000) * 1000;
+            }
+        }
+
+        throw new Error(`Unrecognized target time: "${input}"`);
+    }
+
+    /**
+     * Set the target from user input
+     * @param {string} input - See parseTarget
+     * @returns {number} Target UTC time in milliseconds
+     */
+    function setTarget(input) {
+        targetUtcMs = parseTarget(input, TimeSyncManager.getCurrentUtcMs());
+        return targetUtcMs;
+    }
+
+    /**
+     * Set the target directly, e.g. from a session leader
+     * @param {number|null} utcMs - Target UTC time in milliseconds, or null
+     */
+    function setTargetUtcMs(utcMs) {
+        targetUtcMs = utcMs;
+    }
+
+    /**
+     * Return to hacking every minute
+     */
+    function clearTarget() {
+        targetUtcMs = null;
+    }
+
+    /**
+     * Get the current target
+     * @returns {number|null} Target UTC time in milliseconds
+     */
+    function getTarget() {
+        return targetUtcMs;
+    }
+
+    /**
+     * Find the most recent hack at or before a time, e.g. for a watch reading
+     * taken at it
+     * @param {number} nowUtcMs - UTC time in milliseconds
+     * @returns {number|null} Hack UTC time in milliseconds - null while a
+     *   target is still ahead, since no hack has been called for it
+     */
+    function getLastHack(nowUtcMs) {
+        if (targetUtcMs !== null) {
+            return nowUtcMs >= targetUtcMs ? targetUtcMs : null;
+        }
+        const intervalMs = CueProfileManager.getActiveProfile().hackIntervalSec * 1000;
+        return Math.floor(nowUtcMs / intervalMs) * intervalMs;
+    }
+
+    /**
+     * Find the hack the countdown is running against
+     * Without a target this is the next boundary of the active cue profile's
+     * hack interval (every minute by default); during the second
+     * after a hack, that hack is still returned so it can be announced.
+     * @param {number} nowUtcMs - UTC time in milliseconds
+     * @param {number|null} [target] - Target UTC time in milliseconds, or
+     *   null for the profile's interval; defaults to the page's target
+     * @param {object} [profile] - Cue profile; defaults to the active one
+     * @returns {object|null} {hackUtcMs, secondsToHack, isTarget} - null
+     *   once a target has passed (count-up)
+     */
+    function getNextHack(nowUtcMs, target = targetUtcMs, profile = CueProfileManager.getActiveProfile()) {
+        let hackUtcMs;
+        if (target !== null) {
+            if (nowUtcMs >= target + 1000) return null;
+            hackUtcMs = target;
+        } else {
+            const intervalMs = profile.hackIntervalSec * 1000;
+            const lastHack = Math.floor(nowUtcMs / intervalMs) * intervalMs;
+            hackUtcMs = nowUtcMs - lastHack < 1000 ? lastHack : lastHack + intervalMs;
+        }
+        // The second labelled N runs from N seconds before the hack up to
+        // (but not including) N-1 seconds before it; the hack second is 0
+        const secondsToHack = Math.max(0, Math.ceil((hackUtcMs - nowUtcMs) / 1000));
+        return { hackUtcMs, secondsToHack, isTarget: target !== null };
+    }
+
+    return {
+        parseDuration,
+        parseTarget,
+        setTarget,
+        setTargetUtcMs,
+        clearTarget,
+        getTarget,
+        getNextHack,
+        getLastHack
+    };
+})();
+
+// ============================================================================
+// LATENCY CALIBRATION MODULE
+// ============================================================================
+
+const LatencyManager = (() => {
+    const STORAGE_KEY = 'timehack.latency';
+    const MAX_LATENCY_MS = 1000;
+    const DEFAULT_FRAME_MS = 1000 / 60;
+    const FRAME_SMOOTHING = 0.1;      // Weight of each new frame interval in the average
+
+    // Tap-along calibration
+    const BEAT_INTERVAL_MS = 800;
+    const BEAT_COUNT = 16;
+    const WARMUP_BEATS = 4;           // Taps on the first beats are ignored while the user finds the beat
+    const MIN_TAPS = 6;
+    const BEAT_VISIBLE_MS = 100;
+    const START_DELAY_MS = 1500;
+
+    // Per device: stored in this browser's localStorage only
+    const settings = { displayMs: 0, audioMs: 0 };
+    let frameIntervalMs = DEFAULT_FRAME_MS;
+    let lastFrameTimestamp = null;
+    let calibration = null;           // Running calibration, see startCalibration()
+
+    const DOM = {
+        displayInput: document.getElementById('latency-display'),
+        audioInput: document.getElementById('latency-audio'),
+        calibrateDisplayBtn: document.getElementById('calibrate-display'),
+        calibrateAudioBtn: document.getElementById('calibrate-audio'),
+        message: document.getElementById('latency-message'),
+        overlay: document.getElementById('calibration-overlay'),
+        beat: document.getElementById('calibration-beat'),
+        text: document.getElementById('calibration-text')
+    };
+
+    /**
+     * Track the display's frame interval from consecutive animation frames
+     * Gaps longer than a few frames (timer-driven updates, hidden tab) are
+     * not frame intervals and are ignored.
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    function noteFrame(timestamp) {
+        if (lastFrameTimestamp !== null) {
+            const delta = timestamp - lastFrameTimestamp;
+            if (delta > 0 && delta < 3 * frameIntervalMs) {
+                frameIntervalMs += (delta - frameIntervalMs) * FRAME_SMOOTHING;
+            }
+        }
+        lastFrameTimestamp = timestamp;
+    }
+
+    /**
+     * Get the measured frame interval
+     * @returns {number} Milliseconds per frame
+     */
+    function getFrameIntervalMs() {
+        return frameIntervalMs;
+    }
+
+    /**
+     * How far ahead of performance.now() a frame being drawn now is seen:
+     * presented at the next vsync, seen after the display latency, and
+     * shifted half a frame so a cue lands on the frame nearest its time
+     * @returns {number} Milliseconds
+     */
+    function getDisplayLeadMs() {
+        return frameIntervalMs * 1.5 + settings.displayMs;
+    }
+
+    /**
+     * The moment a frame stands for, see getDisplayLeadMs()
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     * @returns {number} performance.now() time
+     */
+    function getFramePerfMs(timestamp) {
+        return timestamp + getDisplayLeadMs();
+    }
+
+    /**
+     * Get the calibrated display latency (projector, TV processing, etc.)
+     * @returns {number} Milliseconds
+     */
+    function getDisplayLatencyMs() {
+        return settings.displayMs;
+    }
+
+    /**
+     * Get the calibrated audio latency beyond what the browser reports
+     * @returns {number} Milliseconds
+     */
+    function getAudioLatencyMs() {
+        return settings.audioMs;
+    }
+
+    /**
+     * Set a latency and save it
+     * @param {string} kind - 'display' or 'audio'
+     * @param {number} ms - Latency in milliseconds, clamped to 0..MAX_LATENCY_MS
+     */
+    function setLatency(kind, ms) {
+        const value = Math.round(Math.min(MAX_LATENCY_MS, Math.max(0, Number(ms) || 0)));
+        settings[kind === 'audio' ? 'audioMs' : 'displayMs'] = value;
+        saveSettings();
+        renderControls();
+    }
+
+    /**
+     * Load this device's latencies from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                Object.assign(settings, saved);
+            }
+        } catch (e) {
+            console.warn('Could not load latency settings:', e);
+        }
+    }
+
+    /**
+     * Persist this device's latencies to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save latency settings:', e);
+        }
+    }
+
+    /**
+     * Reflect the settings in the panel inputs
+     */
+    function renderControls() {
+        DOM.displayInput.value = settings.displayMs;
+        DOM.audioInput.value = settings.audioMs;
+    }
+
+    /**
+     * Start a tap-along calibration
+     * Beats are flashed (display) or clicked (audio) at a steady rate with no
+     * latency compensation; the median delay of the user's taps behind them
+     * is the latency. Audio clicks already allow for the output latency the
+     * browser reports, so the audio result is the unreported remainder.
+     * @param {string} kind - 'display' or 'audio'
+     */
+    function startCalibration(kind) {
+        stopCalibration();
+        const startPerf = performance.now() + START_DELAY_MS;
+        const beats = Array.from({ length: BEAT_COUNT }, (_, i) => startPerf + i * BEAT_INTERVAL_MS);
+
+        if (kind === 'audio' && !beats.every(perfMs => AudioCueManager.scheduleClick(perfMs))) {
+            DOM.message.textContent = 'Audio calibration needs Web Audio';
+            return;
+        }
+
+        calibration = {
+            kind,
+            beats,
+            shownAt: [],              // Predicted presentation time of each display beat
+            taps: [],                 // {beat, delayMs}
+            frameRequest: null
+        };
+        DOM.text.textContent = kind === 'audio'
+            ? 'Tap anywhere (or press Space) on each click · Esc to cancel'
+            : 'Tap anywhere (or press Space) on each flash · Esc to cancel';
+        DOM.beat.classList.toggle('hidden', kind === 'audio');
+        DOM.beat.classList.remove('on');
+        DOM.overlay.classList.remove('hidden');
+        calibration.frameRequest = requestAnimationFrame(calibrationFrame);
+    }
+
+    /**
+     * Show display beats on the frame presented nearest each beat time, and
+     * finish once the last beat has passed
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    function calibrationFrame(timestamp) {
+        if (!calibration) return;
+        noteFrame(timestamp);
+        const presentPerf = timestamp + frameIntervalMs;
+        const { beats, shownAt } = calibration;
+
+        if (calibration.kind === 'display') {
+            const next = shownAt.length;
+            if (next < beats.length && presentPerf + frameIntervalMs / 2 >= beats[next]) {
+                shownAt.push(presentPerf);
+            }
+            const last = shownAt[shownAt.length - 1];
+            DOM.beat.classList.toggle('on', last !== undefined && presentPerf < last + BEAT_VISIBLE_MS);
+        }
+
+        if (presentPerf > beats[beats.length - 1] + BEAT_INTERVAL_MS) {
+            finishCalibration();
+            return;
+        }
+        calibration.frameRequest = requestAnimationFrame(calibrationFrame);
+    }
+
+    /**
+     * Record a tap against the nearest beat
+     * @param {Event} event - pointerdown or keydown; its timeStamp is on the
+     *   performance.now() clock
+     */
+    function recordTap(event) {
+        if (!calibration) return;
+        const references = calibration.kind === 'display' ? calibration.shownAt : calibration.beats;
+        // Some engines stamp events with epoch time instead; use "now" there
+        const tapPerf = event.timeStamp <= performance.now() ? event.timeStamp : performance.now();
+        let beat = -1;
+        references.forEach((perfMs, i) => {
+            if (beat === -1 || Math.abs(tapPerf - perfMs) < Math.abs(tapPerf - references[beat])) {
+                beat = i;
+            }
+        });
+        if (beat === -1) return;
+        const delayMs = tapPerf - references[beat];
+        if (Math.abs(delayMs) < BEAT_INTERVAL_MS / 2 && !calibration.taps.some(t => t.beat === beat)) {
+            calibration.taps.push({ beat, delayMs });
+        }
+    }
+
+    /**
+     * Take the median tap delay as the latency and save it
+     */
+    function finishCalibration() {
+        const { kind, taps } = calibration;
+        stopCalibration();
+
+        const delays = taps.filter(t => t.beat >= WARMUP_BEATS).map(t => t.delayMs).sort((a, b) => a - b);
+        if (delays.length < MIN_TAPS) {
+            DOM.message.textContent = `Calibration needs at least ${MIN_TAPS} taps after the first ${WARMUP_BEATS} beats; try again`;
+            return;
+        }
+        const mid = Math.floor(delays.length / 2);
+        const median = delays.length % 2 ? delays[mid] : (delays[mid - 1] + delays[mid]) / 2;
+        setLatency(kind, median);
+        DOM.message.textContent = median < 0
+            ? `Taps landed ${Math.round(-median)}ms early; ${kind} latency set to 0ms`
+            : `${kind === 'audio' ? 'Audio' : 'Display'} latency set to ${Math.round(median)}ms from ${delays.length} taps`;
+    }
+
+    /**
+     * Close the calibration overlay
+     */
+    function stopCalibration() {
+        if (calibration && calibration.frameRequest !== null) {
+            cancelAnimationFrame(calibration.frameRequest);
+        }
+        calibration = null;
+        DOM.overlay.classList.add('hidden');
+        DOM.beat.classList.remove('on');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.displayInput.addEventListener('change', () => setLatency('display', DOM.displayInput.value));
+        DOM.audioInput.addEventListener('change', () => setLatency('audio', DOM.audioInput.value));
+        DOM.calibrateDisplayBtn.addEventListener('click', () => startCalibration('display'));
+        DOM.calibrateAudioBtn.addEventListener('click', () => startCalibration('audio'));
+
+        DOM.overlay.addEventListener('pointerdown', recordTap);
+        document.addEventListener('keydown', (e) => {
+            if (!calibration) return;
+            if (e.key === 'Escape') {
+                stopCalibration();
+                DOM.message.textContent = 'Calibration cancelled';
+            } else if (e.key === ' ' && !e.repeat) {
+                e.preventDefault();
+                recordTap(e);
+            }
+        });
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            renderControls();
+            setupEventListeners();
+        },
+        noteFrame,
+        getFrameIntervalMs,
+        getDisplayLeadMs,
+        getFramePerfMs,
+        getDisplayLatencyMs,
+        getAudioLatencyMs,
+        setLatency
+    };
+})();
+
+// ============================================================================
+// THEME MODULE
+// ============================================================================
+
+const ThemeManager = (() => {
+    const STORAGE_KEY = 'timehack.theme';
+    const THEMES = ['default', 'night', 'high-contrast', 'custom'];
+
+    // Base colors of the custom palette; styles.css mixes every other shade
+    // (dim text, borders, surfaces, glows) from these
+    const DEFAULT_PALETTE = {
+        bg: '#000000',
+        fg: '#ffffff',
+        accent: '#00ff00',
+        warn: '#ffff00',
+        error: '#ff0000',
+        info: '#00aaff',
+        flash: '#ffffff'
+    };
+
+    const settings = { theme: 'default', palette: { ...DEFAULT_PALETTE } };
+    let activeTheme = 'default';      // Differs from settings.theme while a ?theme= URL parameter applies
+    let revision = 0;                 // Bumped on every change so canvas drawings know to redraw
+    const colorCache = new Map();     // Variable name -> resolved color for the current theme
+
+    const DOM = {
+        button: document.getElementById('settings-btn'),
+        panel: document.getElementById('settings-panel'),
+        select: document.getElementById('theme-select'),
+        palette: document.getElementById('theme-palette'),
+        colorInputs: document.querySelectorAll('#theme-palette input[data-color]'),
+        resetBtn: document.getElementById('theme-reset'),
+        metaThemeColor: document.querySelector('meta[name="theme-color"]')
+    };
+
+    /**
+     * Check a color is a #rrggbb value, the form color inputs use
+     * @param {*} value - Candidate color
+     * @returns {boolean}
+     */
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    /**
+     * Load the saved theme and palette, then let a ?theme= URL parameter
+     * override the theme for this page load
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                if (THEMES.includes(saved.theme)) {
+                    settings.theme = saved.theme;
+                }
+                Object.keys(DEFAULT_PALETTE).forEach(key => {
+                    if (saved.palette && isHexColor(saved.palette[key])) {
+                        settings.palette[key] = saved.palette[key];
+                    }
+                });
+            }
+        } catch (e) {
+            console.warn('Could not load theme settings:', e);
+        }
+        activeTheme = settings.theme;
+
+        const fromUrl = new URLSearchParams(location.search).get('theme');
+        if (fromUrl) {
+            if (THEMES.includes(fromUrl)) {
+                activeTheme = fromUrl;
+            } else {
+                console.warn(`Ignoring unknown theme in URL: ${fromUrl}`);
+            }
+        }
+    }
+
+    /**
+     * Persist the theme and palette to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save theme settings:', e);
+        }
+    }
+
+    /**
+     * Resolve a theme color to a value canvas and meta tags accept
+     * @param {string} name - Variable name without the leading dashes, e.g. 'accent'
+     * @returns {string} Computed color, e.g. 'rgb(0, 255, 0)'
+     */
+    function getColor(name) {
+        if (!colorCache.has(name)) {
+            const probe = document.createElement('span');
+            probe.style.color = `var(--${name})`;
+            document.body.appendChild(probe);
+            colorCache.set(name, getComputedStyle(probe).color);
+            probe.remove();
+        }
+        return colorCache.get(name);
+    }
+
+    /**
+     * Put the active theme on the page: the data-theme attribute selects a
+     * built-in theme in styles.css, a custom palette overrides the base
+     * variables inline
+     */
+    function applyTheme() {
+        const root = document.documentElement;
+        root.dataset.theme = activeTheme;
+        Object.keys(DEFAULT_PALETTE).forEach(key => {
+            if (activeTheme === 'custom') {
+                root.style.setProperty(`--${key}`, settings.palette[key]);
+            } else {
+                root.style.removeProperty(`--${key}`);
+            }
+        });
+        colorCache.clear();
+        revision++;
+        if (DOM.metaThemeColor) {
+            DOM.metaThemeColor.content = getColor('bg');
+        }
+        renderControls();
+    }
+
+    /**
+     * Reflect the settings in the panel controls
+     */
+    function renderControls() {
+        DOM.select.value = activeTheme;
+        DOM.palette.classList.toggle('hidden', activeTheme !== 'custom');
+        DOM.colorInputs.forEach(input => {
+            input.value = settings.palette[input.dataset.color];
+        });
+    }
+
+    /**
+     * Switch theme
+     * @param {string} theme - One of THEMES
+     * @param {boolean} [persist=true] - Save as this device's theme
+     * @returns {boolean} False if the theme is unknown
+     */
+    function setTheme(theme, persist = true) {
+        if (!THEMES.includes(theme)) return false;
+        activeTheme = theme;
+        if (persist) {
+            settings.theme = theme;
+            saveSettings();
+        }
+        applyTheme();
+        return true;
+    }
+
+    /**
+     * Change one base color of the custom palette and save it
+     * @param {string} key - Key of DEFAULT_PALETTE
+     * @param {string} color - #rrggbb
+     */
+    function setPaletteColor(key, color) {
+        if (!(key in DEFAULT_PALETTE) || !isHexColor(color)) return;
+        settings.palette[key] = color;
+        saveSettings();
+        applyTheme();
+    }
+
+    /**
+     * Get the theme in use
+     * @returns {string}
+     */
+    function getTheme() {
+        return activeTheme;
+    }
+
+    /**
+     * Get a number that changes whenever the colors do
+     * @returns {number}
+     */
+    function getRevision() {
+        return revision;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.button.addEventListener('click', () => {
+            const opening = DOM.panel.classList.contains('hidden');
+            DOM.panel.classList.toggle('hidden', !opening);
+            DOM.button.classList.toggle('active', opening);
+        });
+        DOM.select.addEventListener('change', () => setTheme(DOM.select.value));
+        DOM.colorInputs.forEach(input => {
+            input.addEventListener('input', () => setPaletteColor(input.dataset.color, input.value));
+        });
+        DOM.resetBtn.addEventListener('click', () => {
+            settings.palette = { ...DEFAULT_PALETTE };
+            saveSettings();
+            applyTheme();
+        });
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            applyTheme();
+            setupEventListeners();
+        },
+        getTheme,
+        getColor,
+        getRevision
+    };
+})();
+
+// ============================================================================
+// FLASH & COUNTDOWN MODULE
+// ============================================================================
+
+const VisualCueManager = (() => {
+    let lastFlashSecond = -1;
+    let lastCountdownKey = null;      // Hack and second last rendered by updateCountdown
+    let countdownMessageState = null;
+    let hackMessageTimeout = null;
+
+    // Photosensitivity: 'auto' follows prefers-reduced-motion, 'on' always
+    // replaces full-screen flashes with the safe cue style, 'off' never does
+    const SAFE_MODE_KEY = 'timehack.safeMode';
+    const MAX_FLASHES_PER_SECOND = 3; // WCAG 2.3.1 three-flashes threshold
+    const SAFE_STATE_CLASSES = ['safe-standby', 'safe-countdown', 'safe-hack'];
+    const safeSettings = { mode: 'auto', style: 'ring' };
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const recentFlashOnsets = [];     // performance.now() of flashes on any channel in the last second
+    let renderedSafe = null;
+    let renderedRingProgress = null;  // Progress and hack state last drawn on the ring
+    let renderedSafeState = null;
+    const TIMER_CUE_MS = 2000;        // How long a timer expiry holds the safe hack cue
+    let timerCueUntilPerfMs = -Infinity;
+    let lastSafeFrame = null;         // Arguments of the last updateSafeCues call
+
+    const DOM = {
+        clock: document.getElementById('clock'),
+        flashOverlay: document.getElementById('flash-overlay'),
+        countdownOverlay: document.getElementById('countdown-overlay'),
+        countdownNumber: document.getElementById('countdown-number'),
+        upcomingText: document.getElementById('upcoming-text'),
+        cueRing: document.getElementById('cue-ring'),
+        cueRingProgress: document.getElementById('cue-ring-progress'),
+        safeModeSelect: document.getElementById('safe-mode-select'),
+        safeStyleSelect: document.getElementById('safe-style-select')
+    };
+
+    /**
+     * Check whether full-screen flashes are replaced by safe cues
+     * @returns {boolean}
+     */
+    function isSafeMode() {
+        return safeSettings.mode === 'on' || (safeSettings.mode === 'auto' && reducedMotionQuery.matches);
+    }
+
+    /**
+     * Admit a flash onset only if fewer than MAX_FLASHES_PER_SECOND started
+     * in the last second, so no combination of cues can strobe faster
+     * @param {number} now - performance.now() time the onset is seen
+     * @returns {boolean}
+     */
+    function allowFlashOnset(now) {
+        while (recentFlashOnsets.length > 0 && now - recentFlashOnsets[0] >= 1000) {
+            recentFlashOnsets.shift();
+        }
+        if (recentFlashOnsets.length >= MAX_FLASHES_PER_SECOND) {
+            return false;
+        }
+        recentFlashOnsets.push(now);
+        return true;
+    }
+
+    /**
+     * Create a set of flashes drawn on one surface: the page's flash overlay,
+     * or an embedded <time-hack> clock. All channels share the rate cap.
+     * @param {function(string): void} draw - Called with 'off', 'on' or
+     *   'countdown' whenever the state to show changes
+     * @returns {object} {trigger(sequence), render(framePerfMs), isAnimating()}
+     */
+    function createFlashChannel(draw) {
+        const sequences = [];         // Flashes in progress
+        let rendered = 'off';         // State last drawn
+
+        /**
+         * Queue a flash sequence
+         * @param {object} options - {count, durationMs, intervalMs, type}
+         * @param {number} startPerfMs - performance.now() time the first flash is seen
+         */
+        function trigger({ count, durationMs, intervalMs, type }, startPerfMs) {
+            if (count <= 0) return;
+            sequences.push({
+                startPerfMs,
+                count,
+                durationMs,
+                periodMs: durationMs + intervalMs,
+                countdown: type === 'countdown',
+                admitted: []          // Per flash: whether it passed the rate cap
+            });
+        }
+
+        /**
+         * Draw the flash state for a frame
+         * @param {number} framePerfMs - performance.now() time the frame is seen
+         */
+        function render(framePerfMs) {
+            let on = false;
+            let countdown = false;
+            for (let i = sequences.length - 1; i >= 0; i--) {
+                const sequence = sequences[i];
+                const elapsed = framePerfMs - sequence.startPerfMs;
+                if (elapsed >= sequence.count * sequence.periodMs) {
+                    sequences.splice(i, 1);
+                    continue;
+                }
+                const index = Math.floor(elapsed / sequence.periodMs);
+                if (elapsed < 0 || elapsed - index * sequence.periodMs >= sequence.durationMs) continue;
+
+                if (sequence.admitted[index] === undefined) {
+                    // A flash that starts while another is showing merges with it
+                    sequence.admitted[index] = rendered !== 'off' || on || allowFlashOnset(framePerfMs);
+                }
+                if (sequence.admitted[index]) {
+                    on = true;
+                    countdown = countdown || sequence.countdown;
+                }
+            }
+
+            const state = on ? (countdown ? 'countdown' : 'on') : 'off';
+            if (state === rendered) return;
+            rendered = state;
+            draw(state);
+        }
+
+        return {
+            trigger,
+            render,
+            isAnimating: () => sequences.length > 0
+        };
+    }
+
+    // The page's own full-screen flashes
+    const pageFlashes = createFlashChannel(state => {
+        DOM.flashOverlay.classList.toggle('flash', state !== 'off');
+        DOM.flashOverlay.classList.toggle('flash-countdown', state === 'countdown');
+        DOM.clock.classList.toggle('flash-text-invert', state === 'countdown');
+    });
+
+    /**
+     * Check if we should trigger flash at this moment
+     * Flash occurs on the hack and, when not counting down to a target time,
+     * at the cue profile's extra flash seconds (:00 and :30 by default)
+     * @param {number} seconds - Current UTC seconds (0-59)
+     * @param {object|null} hack - Current hack (see TargetTimeManager.getNextHack)
+     * @returns {boolean}
+     */
+    function shouldFlash(seconds, hack) {
+        const profile = CueProfileManager.getActiveProfile();
+        if (profile.hackFlash && hack !== null && hack.secondsToHack === 0) {
+            return true;
+        }
+        return TargetTimeManager.getTarget() === null && profile.flashSeconds.includes(seconds);
+    }
+
+    /**
+     * Trigger flash(es) with customizable count and style
+     * The flashes are drawn by the page's flash channel on the frames seen
+     * nearest each on and off time, rather than by timers.
+     * @param {object} options - {count: number, type: 'regular'|'countdown',
+     *   durationMs: number, intervalMs: number}
+     * @param {number} startPerfMs - performance.now() time the first flash
+     *   should be seen (see LatencyManager.getFramePerfMs)
+     */
+    function triggerFlash(options = {}, startPerfMs = performance.now()) {
+        const {
+            count = 3,
+            type = 'regular',
+            durationMs = 150,
+            intervalMs = 160
+        } = options;
+
+        if (isSafeMode()) {
+            // Safe cues are drawn per frame by updateSafeCues; only the slow
+            // fade marks the flash points themselves
+            if (safeSettings.style === 'fade' && type !== 'countdown' && count > 0) {
+                DOM.flashOverlay.classList.add('safe-fade');
+                setTimeout(() => DOM.flashOverlay.classList.remove('safe-fade'), 1000);
+            }
+            return;
+        }
+
+        pageFlashes.trigger({ count, durationMs, intervalMs, type }, startPerfMs);
+    }
+
+    /**
+     * Describe the countdown stage for a given number of seconds to the hack
+     * Staging comes from the cue profile. Shared by the visual and audio cue
+     * layers and embedded clocks so they stay in step.
+     * @param {number} secondsToHack - Whole seconds until the hack (0 = hack)
+     * @param {Date} hackDate - UTC time of the hack, used for the HACK time
+     * @param {object} [profile] - Cue profile; defaults to the active one
+     * @param {object} [reference] - Clock the text names, see CueProfileManager.formatCueText
+     * @returns {object|null} {stage: 'standby'|'countdown'|'hack', text, announce}
+     *   or null outside the countdown. text is null for a silent second;
+     *   announce is true on the seconds a callout should be spoken.
+     */
+    function getCountdownStage(secondsToHack, hackDate, profile = CueProfileManager.getActiveProfile(),
+        reference = ClockBoardManager.getReferenceClock()) {
+        const hackUtcMs = hackDate.getTime();
+
+        if (secondsToHack === 0) {
+            if (!profile.hackText) return null;
+            const text = CueProfileManager.formatCueText(profile.hackText, 0, hackUtcMs, reference);
+            return { stage: 'hack', text, announce: true };
+        }
+
+        const stage = profile.stages.find(s => secondsToHack <= s.from && secondsToHack >= s.to);
+        if (!stage) return null;
+
+        if (stage.skip.includes(secondsToHack)) {
+            return { stage: stage.type, text: null, announce: false };
+        }
+        return {
+            stage: stage.type,
+            text: CueProfileManager.formatCueText(stage.text, secondsToHack, hackUtcMs, reference),
+            announce: stage.announce === 'each' || secondsToHack === stage.from
+        };
+    }
+
+    /**
+     * Describe the next hack between countdowns, e.g. "IN ONE MINUTE, THE
+     * TIME WILL BE HH:MM ZULU" over 30 s out and "30 SECONDS TO HACK" after
+     * that, or "HACK AT ..." / "ELAPSED SINCE ..." with a target
+     * @param {number} nowUtcMs - Time to describe
+     * @param {number|null} [targetUtcMs] - Target; defaults to the page's target
+     * @param {object} [profile] - Cue profile; defaults to the active one
+     * @param {object} [reference] - Clock the text names, see CueProfileManager.formatCueText
+     * @returns {string}
+     */
+    function getUpcomingText(nowUtcMs, targetUtcMs = TargetTimeManager.getTarget(),
+        profile = CueProfileManager.getActiveProfile(), reference = ClockBoardManager.getReferenceClock()) {
+        if (targetUtcMs !== null) {
+            return MessageCatalog.format(targetUtcMs > nowUtcMs ? 'targetAhead' : 'targetPassed',
+                DisplayFormat.describeTime(targetUtcMs, reference)).trim();
+        }
+
+        // Look past a hack that is still in its own second
+        let { hackUtcMs } = TargetTimeManager.getNextHack(nowUtcMs, null, profile);
+        if (hackUtcMs <= nowUtcMs) {
+            ({ hackUtcMs } = TargetTimeManager.getNextHack(hackUtcMs + 1000, null, profile));
+        }
+        const secondsToHack = Math.ceil((hackUtcMs - nowUtcMs) / 1000);
+        const entry = profile.upcoming.find(u => secondsToHack >= u.minSeconds);
+        return entry ? CueProfileManager.formatCueText(entry.text, secondsToHack, hackUtcMs, reference) : '';
+    }
+
+    /**
+     * Update countdown display with messages in footer
+     * @param {object|null} hack - Current hack (see TargetTimeManager.getNextHack)
+     * @param {number} boundaryPerfMs - performance.now() time the current
+     *   second began to be seen, where a countdown flash starts
+     */
+    function updateCountdown(hack, boundaryPerfMs) {
+        const cue = hack && getCountdownStage(hack.secondsToHack, new Date(hack.hackUtcMs));
+        
+        if (!cue) {
+            // Clear countdown state when outside countdown period
+            if (countdownMessageState !== null && countdownMessageState !== 'hack') {
+                countdownMessageState = null;
+                // Clear the HACK message timeout if it exists
+                if (hackMessageTimeout) {
+                    clearTimeout(hackMessageTimeout);
+                    hackMessageTimeout = null;
+                }
+            }
+            lastCountdownKey = null;
+            return;
+        }
+
+        // Only update when second changes
+        const countdownKey = `${hack.hackUtcMs}/${hack.secondsToHack}`;
+        if (countdownKey === lastCountdownKey) {
+            return;
+        }
+        lastCountdownKey = countdownKey;
+
+        const profile = CueProfileManager.getActiveProfile();
+        if (profile.countdownFlash) {
+            triggerFlash({ ...profile.countdownFlash, type: profile.countdownFlash.style }, boundaryPerfMs);
+        }
+
+        if (cue.stage !== 'hack') {
+            // Silent seconds (the skipped 4) leave the previous text up
+            if (cue.text !== null) {
+                if (DOM.upcomingText.textContent !== cue.text) {
+                    DOM.upcomingText.textContent = cue.text;
+                }
+                countdownMessageState = cue.stage;
+            }
+        } else {
+            DOM.upcomingText.textContent = cue.text;
+            countdownMessageState = 'hack';
+            
+            // Clear any existing timeout
+            if (hackMessageTimeout) {
+                clearTimeout(hackMessageTimeout);
+            }
+            
+            // Hide HACK message after the profile's hold time
+            hackMessageTimeout = setTimeout(() => {
+                if (countdownMessageState === 'hack') {
+                    countdownMessageState = null;
+                    // Reset to normal upcoming text calculation
+                    const displayManager = window.DisplayManager;
+                    if (displayManager && typeof displayManager.updateUpcomingTextNow === 'function') {
+                        displayManager.updateUpcomingTextNow();
+                    }
+                }
+                hackMessageTimeout = null;
+            }, profile.holdMs);
+        }
+    }
+
+    /**
+     * Check if currently displaying countdown message
+     * @returns {boolean}
+     */
+    function isInCountdownMode() {
+        return countdownMessageState !== null;
+    }
+
+    /**
+     * Check whether a cue is animating and needs every frame rather than one
+     * update per second (flashes in progress, the safe-mode ring filling)
+     * @param {number} nowUtcMs - UTC time in milliseconds of the next frame
+     * @returns {boolean}
+     */
+    function needsAnimationFrames(nowUtcMs) {
+        if (pageFlashes.isAnimating()) return true;
+        if (!isSafeMode()) return false;
+        if (performance.now() < timerCueUntilPerfMs) return true;
+        if (safeSettings.style !== 'ring') return false;
+        const hack = TargetTimeManager.getNextHack(nowUtcMs);
+        const { stages } = CueProfileManager.getActiveProfile();
+        const windowMs = Math.max(10, ...stages.map(s => s.from)) * 1000;
+        return Boolean(hack) && hack.hackUtcMs - nowUtcMs <= windowMs;
+    }
+
+    /**
+     * Process flash and countdown logic for a frame
+     * Both times are when the frame will be seen, so a cue appears on the
+     * frame seen nearest its boundary.
+     * @param {number} nowUtcMs - UTC time in milliseconds the frame is seen
+     * @param {number} framePerfMs - The same moment on the performance.now() clock
+     */
+    function processVisualCues(nowUtcMs, framePerfMs) {
+        const utcSeconds = new Date(nowUtcMs).getUTCSeconds();
+        const hack = TargetTimeManager.getNextHack(nowUtcMs);
+        const boundaryPerfMs = framePerfMs - (nowUtcMs % 1000);
+
+        // Handle countdown (10 seconds before the hack and at the hack)
+        updateCountdown(hack, boundaryPerfMs);
+
+        // Handle flashes at :00 and :30
+        if (shouldFlash(utcSeconds, hack) && utcSeconds !== lastFlashSecond) {
+            const { flash } = CueProfileManager.getActiveProfile();
+            triggerFlash({ ...flash, type: flash.style }, boundaryPerfMs);
+            lastFlashSecond = utcSeconds;
+        }
+
+        // Reset flash tracking when we leave :00 and :30
+        if (!shouldFlash(utcSeconds, hack)) {
+            lastFlashSecond = -1;
+        }
+
+        pageFlashes.render(framePerfMs);
+        updateSafeCues(hack, nowUtcMs, framePerfMs);
+    }
+
+    /**
+     * Show a timer's expiry with the safe cues, which otherwise only follow
+     * the hack: the ring glows or the clock takes the hack color for
+     * TIMER_CUE_MS. Full flashes and the fade come from triggerFlash.
+     * @param {number} startPerfMs - performance.now() time the cue should be seen
+     */
+    function cueTimerExpiry(startPerfMs) {
+        timerCueUntilPerfMs = startPerfMs + TIMER_CUE_MS;
+        if (lastSafeFrame) {
+            updateSafeCues(...lastSafeFrame);
+        }
+    }
+
+    /**
+     * Draw the non-strobing cues used in safe mode
+     * ring:  fills steadily over the countdown window and glows on the hack
+     * color: the clock takes a steady color per countdown stage
+     * fade:  see triggerFlash
+     * A timer expiry (see cueTimerExpiry) is shown as a hack.
+     * @param {object|null} hack - Current hack (see TargetTimeManager.getNextHack)
+     * @param {number} nowUtcMs - Current UTC time in milliseconds
+     * @param {number} framePerfMs - The same moment on the performance.now() clock
+     */
+    function updateSafeCues(hack, nowUtcMs, framePerfMs) {
+        lastSafeFrame = [hack, nowUtcMs, framePerfMs];
+        const cueState = framePerfMs < timerCueUntilPerfMs ? 'hack' : countdownMessageState;
+        const safe = isSafeMode();
+        if (safe !== renderedSafe) {
+            renderedSafe = safe;
+            DOM.flashOverlay.classList.toggle('safe', safe);
+        }
+
+        let progress = null;
+        if (safe && safeSettings.style === 'ring') {
+            const { stages } = CueProfileManager.getActiveProfile();
+            const windowMs = Math.max(10, ...stages.map(s => s.from)) * 1000;
+            if (cueState === 'hack') {
+                progress = 1;
+            } else if (hack && hack.hackUtcMs - nowUtcMs <= windowMs) {
+                progress = Math.min(1, 1 - (hack.hackUtcMs - nowUtcMs) / windowMs);
+            } else {
+                progress = 0;
+            }
+            progress = Math.round(progress * 200) / 200;
+        }
+        const ringKey = progress === null ? null : `${progress}/${cueState === 'hack'}`;
+        if (ringKey !== renderedRingProgress) {
+            renderedRingProgress = ringKey;
+            DOM.cueRing.classList.toggle('hidden', progress === null);
+            DOM.cueRing.classList.toggle('ring-hack', cueState === 'hack');
+            if (progress !== null) {
+                DOM.cueRingProgress.style.strokeDashoffset = (100 * (1 - progress)).toFixed(1);
+            }
+        }
+
+        const safeState = safe && safeSettings.style === 'color' && cueState
+            ? `safe-${cueState}`
+            : null;
+        if (safeState !== renderedSafeState) {
+            renderedSafeState = safeState;
+            DOM.clock.classList.remove(...SAFE_STATE_CLASSES);
+            if (safeState) {
+                DOM.clock.classList.add(safeState);
+            }
+        }
+    }
+
+    /**
+     * Load saved photosensitivity settings from localStorage
+     */
+    function loadSafeSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SAFE_MODE_KEY));
+            if (saved) {
+                Object.assign(safeSettings, saved);
+            }
+        } catch (e) {
+            console.warn('Could not load photosensitivity settings:', e);
+        }
+    }
+
+    /**
+     * Persist photosensitivity settings to localStorage
+     */
+    function saveSafeSettings() {
+        try {
+            localStorage.setItem(SAFE_MODE_KEY, JSON.stringify(safeSettings));
+        } catch (e) {
+            console.warn('Could not save photosensitivity settings:', e);
+        }
+    }
+
+    /**
+     * Set up the photosensitivity controls
+     */
+    function setupEventListeners() {
+        DOM.safeModeSelect.value = safeSettings.mode;
+        DOM.safeStyleSelect.value = safeSettings.style;
+
+        DOM.safeModeSelect.addEventListener('change', (e) => {
+            safeSettings.mode = e.target.value;
+            saveSafeSettings();
+        });
+        DOM.safeStyleSelect.addEventListener('change', (e) => {
+            safeSettings.style = e.target.value;
+            saveSafeSettings();
+        });
+    }
+
+    return {
+        init: () => {
+            loadSafeSettings();
+            setupEventListeners();
+        },
+        processVisualCues,
+        cueTimerExpiry,
+        triggerFlash,
+        createFlashChannel,
+        isInCountdownMode,
+        needsAnimationFrames,
+        getCountdownStage,
+        getUpcomingText,
+        isSafeMode
+    };
+})();
+
+// ============================================================================
+// AUDIO CUE MODULE
+// ============================================================================
+
+const AudioCueManager = (() => {
+    let audioContext = null;
+    let masterGain = null;
+    let lastToneBoundary = null;      // UTC ms of the last boundary a tone was scheduled for
+    let lastSpokenBoundary = null;    // UTC ms of the last boundary a callout was spoken for
+
+    const STORAGE_KEY = 'timehack.audio';
+    const TONE_LOOKAHEAD_MS = 250;    // Schedule tones this far ahead of the boundary
+    const SPEECH_LEAD_MS = 120;       // Start speaking slightly early to cover engine start-up
+
+    // Tone per countdown stage: short pips, long high tone on the hack
+    const TONES = {
+        standby: { frequency: 800, durationMs: 100 },
+        countdown: { frequency: 1000, durationMs: 100 },
+        hack: { frequency: 1500, durationMs: 500 }
+    };
+    const CALIBRATION_CLICK = { frequency: 1000, durationMs: 50 };
+
+    const settings = {
+        tones: { enabled: false, volume: 0.5 },
+        voice: { enabled: false, volume: 1 }
+    };
+    let active = { tones: false, voice: false }; // Differs from settings while ?audio= applies
+
+    const DOM = {
+        toneToggle: document.getElementById('tone-toggle'),
+        toneVolume: document.getElementById('tone-volume'),
+        voiceToggle: document.getElementById('voice-toggle'),
+        voiceVolume: document.getElementById('voice-volume')
+    };
+
+    /**
+     * Load saved audio settings from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                Object.assign(settings.tones, saved.tones);
+                Object.assign(settings.voice, saved.voice);
+            }
+        } catch (e) {
+            console.warn('Could not load audio settings:', e);
+        }
+        active = { tones: settings.tones.enabled, voice: settings.voice.enabled };
+    }
+
+    /**
+     * Persist audio settings to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save audio settings:', e);
+        }
+    }
+
+    /**
+     * Create (or resume) the AudioContext
+     * Browsers only allow this from a user gesture, so it is called from the
+     * toggle handler and the first pointer/key event on the page.
+     */
+    function ensureAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio API not supported in this browser');
+            return;
+        }
+        if (!audioContext) {
+            audioContext = new AudioContextClass({ latencyHint: 'interactive' });
+            masterGain = audioContext.createGain();
+            masterGain.gain.value = settings.tones.volume;
+            masterGain.connect(audioContext.destination);
+        }
+        if (audioContext.state === 'suspended') {
+            audioContext.resume().catch(e => console.warn('AudioContext resume failed:', e));
+        }
+    }
+
+    /**
+     * Convert a performance.now() timestamp to the AudioContext time that
+     * will be audible at that moment. getOutputTimestamp() pairs the two
+     * clocks at the output, so output latency is already accounted for.
+     * @param {number} perfMs - performance.now() timestamp
+     * @returns {number} AudioContext time in seconds
+     */
+    function contextTimeAt(perfMs) {
+        if (audioContext.getOutputTimestamp) {
+            const stamp = audioContext.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.contextTime + (perfMs - stamp.performanceTime) / 1000;
+            }
+        }
+        const outputLatency = audioContext.outputLatency || audioContext.baseLatency || 0;
+        return audioContext.currentTime + (perfMs - performance.now()) / 1000 - outputLatency;
+    }
+
+    /**
+     * Schedule a tone on the AudioContext clock
+     * @param {number} startTime - AudioContext time in seconds
+     * @param {object} tone - {frequency, durationMs}
+     */
+    function scheduleTone(startTime, tone) {
+        const duration = tone.durationMs / 1000;
+        const oscillator = audioContext.createOscillator();
+        const envelope = audioContext.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = tone.frequency;
+
+        // Short ramps avoid clicks without smearing the onset
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(1, startTime + 0.005);
+        envelope.gain.setValueAtTime(1, startTime + duration - 0.01);
+        envelope.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(masterGain);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.02);
+    }
+
+    /**
+     * Speak a callout with the speech synthesis API
+     * Any callout still being spoken is cut off so they never queue up.
+     * Military times are spelled out first (see DisplayFormat.toSpeech).
+     * @param {string} text - Callout text
+     */
+    function speak(text) {
+        if (!('speechSynthesis' in window)) return;
+        const utterance = new SpeechSynthesisUtterance(DisplayFormat.toSpeech(text).toLowerCase());
+        utterance.lang = MessageCatalog.getSpeechLang();
+        utterance.volume = settings.voice.volume;
+        utterance.rate = 1.1;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Schedule tones and callouts for the next second boundary
+     * Called on each animation frame
+     */
+    function processAudioCues() {
+        if (!active.tones && !active.voice) return;
+
+        // Sound leaves the speaker this much after the output timestamp says
+        // (e.g. Bluetooth), so everything is started that much earlier
+        const latencyMs = LatencyManager.getAudioLatencyMs();
+        const nowUtcMs = TimeSyncManager.getCurrentUtcMs() + latencyMs;
+        const boundaryUtcMs = Math.ceil(nowUtcMs / 1000) * 1000;
+        const msUntilBoundary = boundaryUtcMs - nowUtcMs;
+        const hack = TargetTimeManager.getNextHack(boundaryUtcMs);
+        const cue = hack && VisualCueManager.getCountdownStage(hack.secondsToHack, new Date(hack.hackUtcMs));
+        if (!cue) return;
+
+        if (active.tones && audioContext && audioContext.state === 'running' &&
+            msUntilBoundary <= TONE_LOOKAHEAD_MS && lastToneBoundary !== boundaryUtcMs) {
+            lastToneBoundary = boundaryUtcMs;
+            // Standby only sounds on its first second, like the spoken callout
+            if (cue.stage !== 'standby' || cue.announce) {
+                const startTime = contextTimeAt(performance.now() + msUntilBoundary);
+                if (startTime > audioContext.currentTime) {
+                    scheduleTone(startTime, TONES[cue.stage]);
+                }
+            }
+        }
+
+        if (active.voice && msUntilBoundary <= SPEECH_LEAD_MS && lastSpokenBoundary !== boundaryUtcMs) {
+            lastSpokenBoundary = boundaryUtcMs;
+            if (cue.announce) {
+                speak(cue.text);
+            }
+        }
+    }
+
+    /**
+     * How long before each second boundary processAudioCues() needs to run
+     * @returns {Array<number>} Lead times in milliseconds for the enabled cues
+     */
+    function getLeadTimesMs() {
+        const latencyMs = LatencyManager.getAudioLatencyMs();
+        const leads = [];
+        if (active.tones) leads.push(TONE_LOOKAHEAD_MS + latencyMs);
+        if (active.voice) leads.push(SPEECH_LEAD_MS + latencyMs);
+        return leads;
+    }
+
+    /**
+     * Play a short click for latency calibration, without the calibrated
+     * latency applied
+     * @param {number} perfMs - performance.now() time the click should be heard
+     * @returns {boolean} False if Web Audio is unavailable
+     */
+    function scheduleClick(perfMs) {
+        ensureAudioContext();
+        if (!audioContext) return false;
+        scheduleTone(contextTimeAt(perfMs), CALIBRATION_CLICK);
+        return true;
+    }
+
+    /**
+     * Reflect settings in the toggle buttons and volume sliders
+     */
+    function renderControls() {
+        DOM.toneToggle.classList.toggle('active', active.tones);
+        DOM.toneToggle.setAttribute('aria-pressed', String(active.tones));
+        DOM.toneVolume.value = settings.tones.volume;
+        DOM.voiceToggle.classList.toggle('active', active.voice);
+        DOM.voiceToggle.setAttribute('aria-pressed', String(active.voice));
+        DOM.voiceVolume.value = settings.voice.volume;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.toneToggle.addEventListener('click', () => {
+            settings.tones.enabled = active.tones = !active.tones;
+            if (active.tones) {
+                ensureAudioContext();
+            }
+            saveSettings();
+            renderControls();
+        });
+
+        DOM.toneVolume.addEventListener('input', (e) => {
+            settings.tones.volume = parseFloat(e.target.value);
+            if (masterGain) {
+                masterGain.gain.value = settings.tones.volume;
+            }
+            saveSettings();
+        });
+
+        DOM.voiceToggle.addEventListener('click', () => {
+            settings.voice.enabled = active.voice = !active.voice;
+            if (!active.voice && 'speechSynthesis' in window) {
+                window.speechSynthesis.cancel();
+            }
+            saveSettings();
+            renderControls();
+        });
+
+        DOM.voiceVolume.addEventListener('input', (e) => {
+            settings.voice.volume = parseFloat(e.target.value);
+            saveSettings();
+        });
+
+        // Tones restored from settings need a gesture before they can play
+        const unlock = () => {
+            if (active.tones) {
+                ensureAudioContext();
+            }
+        };
+        document.addEventListener('pointerdown', unlock, { once: true });
+        document.addEventListener('keydown', unlock, { once: true });
+    }
+
+    /**
+     * Turn tones and callouts on or off for this page load without saving,
+     * e.g. from the URL. Tones still wait for the first gesture to sound.
+     * @param {object} enabled - {tones, voice} booleans
+     */
+    function setEnabled({ tones, voice }) {
+        active = { tones, voice };
+        renderControls();
+    }
+
+    /**
+     * Get which audio cues are on
+     * @returns {object} {tones, voice} booleans
+     */
+    function getEnabled() {
+        return { ...active };
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            renderControls();
+            setupEventListeners();
+        },
+        processAudioCues,
+        getLeadTimesMs,
+        scheduleClick,
+        setEnabled,
+        getEnabled
+    };
+})();
+
+// ============================================================================
+// SESSION MODULE
+// ============================================================================
+
+const SessionManager = (() => {
+    const STORAGE_KEY = 'timehack.session';
+    const ROLES = { OFF: 'off', LEADER: 'leader', FOLLOWER: 'follower' };
+    const STATE_INTERVAL_MS = 1000;   // Leader publishes its profile/target/sync state
+    const PING_INTERVAL_MS = 2000;    // Follower measures the leader's time base
+    const PEER_TIMEOUT_MS = 10000;    // Leader or follower considered gone after this
+    const MAX_SAMPLES = 8;
+    const SAMPLE_AGING = 50e-6;       // Error added per ms of sample age (assumed rate mismatch)
+    const RECONNECT_DELAY_MS = 3000;
+
+    const clientId = Math.random().toString(36).slice(2, 10);
+    let settings = { role: ROLES.OFF, name: 'brief', relayUrl: '' };
+    let channel = null;
+    let socket = null;
+    let reconnectTimer = null;
+    let tickTimer = null;
+    let lastPingAt = 0;
+    let lastStateAt = 0;
+
+    // Follower state
+    let leader = null;                // {id, lastSeenPerf, sync}
+    let samples = [];                 // {perfMs, utcMs, errorMs, ownUtcMs}
+    let ownTargetUtcMs = null;        // This device's target from before joining, restored on release
+    const pendingPings = new Map();   // ping id -> performance.now() when sent
+
+    // Leader state
+    const followers = new Map();      // follower id -> performance.now() last heard
+    let otherLeaderSeenAt = -Infinity;
+
+    const DOM = {
+        role: document.getElementById('session-role'),
+        name: document.getElementById('session-name'),
+        relay: document.getElementById('session-relay'),
+        status: document.getElementById('session-status')
+    };
+
+    /**
+     * Send a message to the session over every open transport
+     * @param {object} message - Message; the sender id is added
+     */
+    function send(message) {
+        const data = { ...message, from: clientId };
+        if (channel) {
+            channel.postMessage(data);
+        }
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(data));
+        }
+    }
+
+    /**
+     * Handle a message from another tab or device
+     * @param {object} message - Parsed message
+     * @throws {Error} If a state or pong message is malformed
+     */
+    function handleMessage(message) {
+        if (!message || message.from === clientId) return;
+        if (message.to && message.to !== clientId) return;
+
+        switch (message.type) {
+            case 'state':
+                if (settings.role === ROLES.LEADER) {
+                    otherLeaderSeenAt = performance.now();
+                } else if (settings.role === ROLES.FOLLOWER) {
+                    handleLeaderState(message);
+                }
+                break;
+            case 'ping':
+                if (settings.role === ROLES.LEADER) {
+                    followers.set(message.from, performance.now());
+                    send({ type: 'pong', to: message.from, id: message.id, utcMs: TimeSyncManager.getCurrentUtcMs() });
+                }
+                break;
+            case 'pong':
+                if (settings.role === ROLES.FOLLOWER) {
+                    handlePong(message);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Adopt the leader's profile and target; the first leader heard is kept
+     * until it goes quiet
+     * @param {object} message - State message
+     * @throws {Error} If the target or sync state is malformed; nothing is adopted
+     */
+    function handleLeaderState(message) {
+        if (leader && leader.id !== message.from) return;
+        if (message.targetUtcMs !== null && !Number.isFinite(message.targetUtcMs)) {
+            throw new Error('State message needs targetUtcMs as a number or null');
+        }
+        const { sync } = message;
+        const isTimeOrNull = (value) => value === null || Number.isFinite(value);
+        if (!sync || typeof sync !== 'object' || typeof sync.state !== 'string' ||
+            !isTimeOrNull(sync.sinceGoodSyncMs) || !isTimeOrNull(sync.uncertaintyMs)) {
+            throw new Error('State message needs sync {state, sinceGoodSyncMs, uncertaintyMs}');
+        }
+        const joining = !leader;
+        leader = { id: message.from, lastSeenPerf: performance.now(), sync: message.sync };
+        if (joining) {
+            samples = [];
+            ownTargetUtcMs = TargetTimeManager.getTarget();
+            ping();
+        }
+        try {
+            CueProfileManager.setSessionProfile(message.profile);
+        } catch (e) {
+            console.warn('Ignoring invalid profile from session leader:', e);
+        }
+        TargetTimeManager.setTargetUtcMs(message.targetUtcMs);
+        followBestSample();
+    }
+
+    /**
+     * Ask the leader for its current time
+     */
+    function ping() {
+        const id = Math.random().toString(36).slice(2, 10);
+        pendingPings.set(id, performance.now());
+        lastPingAt = performance.now();
+        send({ type: 'ping', to: leader.id, id });
+    }
+
+    /**
+     * Turn a ping reply into a time base sample and follow the best one
+     * @param {object} message - Pong message
+     * @throws {Error} If utcMs is not a number
+     */
+    function handlePong(message) {
+        const t0 = pendingPings.get(message.id);
+        if (t0 === undefined || !leader || message.from !== leader.id) return;
+        if (!Number.isFinite(message.utcMs)) {
+            throw new Error('Pong message needs utcMs as a number');
+        }
+        pendingPings.delete(message.id);
+        const t1 = performance.now();
+        const perfMs = (t0 + t1) / 2;
+
+        samples.push({
+            perfMs,
+            utcMs: message.utcMs,
+            errorMs: (t1 - t0) / 2,
+            ownUtcMs: TimeSyncManager.getOwnUtcMs() - (t1 - perfMs)
+        });
+        if (samples.length > MAX_SAMPLES) {
+            samples.shift();
+        }
+        followBestSample();
+    }
+
+    /**
+     * Hand the best time base and the leader's latest sync state to
+     * TimeSyncManager
+     */
+    function followBestSample() {
+        const best = getBestSample();
+        if (!best) return;
+        const { sync } = leader;
+        const age = performance.now() - leader.lastSeenPerf;
+        TimeSyncManager.followTimeBase({
+            perfMs: best.perfMs,
+            utcMs: best.utcMs,
+            errorMs: best.errorMs,
+            sync: { ...sync, sinceGoodSyncMs: sync.sinceGoodSyncMs === null ? null : sync.sinceGoodSyncMs + age }
+        });
+    }
+
+    /**
+     * Pick the sample with the smallest error once its age is accounted for
+     * @returns {object|null} Sample with errorMs aged to now
+     */
+    function getBestSample() {
+        const now = performance.now();
+        return samples
+            .map(sample => ({ ...sample, errorMs: sample.errorMs + (now - sample.perfMs) * SAMPLE_AGING }))
+            .reduce((best, sample) => (!best || sample.errorMs < best.errorMs ? sample : best), null);
+    }
+
+    /**
+     * Stop following: return to this device's own time base, profile and
+     * target
+     */
+    function releaseLeader() {
+        if (leader) {
+            TargetTimeManager.setTargetUtcMs(ownTargetUtcMs);
+            ownTargetUtcMs = null;
+        }
+        leader = null;
+        samples = [];
+        pendingPings.clear();
+        TimeSyncManager.followTimeBase(null);
+        CueProfileManager.setSessionProfile(null);
+    }
+
+    /**
+     * Periodic work for the current role
+     */
+    function tick() {
+        const now = performance.now();
+        if (settings.role === ROLES.LEADER) {
+            if (now - lastStateAt >= STATE_INTERVAL_MS) {
+                lastStateAt = now;
+                send({
+                    type: 'state',
+                    profile: CueProfileManager.getActiveProfile(),
+                    targetUtcMs: TargetTimeManager.getTarget(),
+                    sync: TimeSyncManager.getSyncState()
+                });
+            }
+            followers.forEach((seenAt, id) => {
+                if (now - seenAt > PEER_TIMEOUT_MS) followers.delete(id);
+            });
+        } else if (settings.role === ROLES.FOLLOWER && leader) {
+            if (now - leader.lastSeenPerf > PEER_TIMEOUT_MS) {
+                console.warn('Session leader lost, using own time base');
+                releaseLeader();
+            } else if (now - lastPingAt >= PING_INTERVAL_MS) {
+                pendingPings.forEach((sentAt, id) => {
+                    if (now - sentAt > PEER_TIMEOUT_MS) pendingPings.delete(id);
+                });
+                ping();
+            }
+        }
+        renderStatus();
+    }
+
+    /**
+     * Open the WebSocket relay connection, reconnecting while it is configured
+     */
+    function connectRelay() {
+        clearTimeout(reconnectTimer);
+        if (settings.role === ROLES.OFF || !settings.relayUrl || typeof WebSocket === 'undefined') return;
+        try {
+            socket = new WebSocket(settings.relayUrl);
+        } catch (e) {
+            console.warn('Invalid session relay URL:', e);
+            socket = null;
+            return;
+        }
+        const current = socket;
+        current.addEventListener('open', () => {
+            current.send(JSON.stringify({ type: 'join', session: settings.name }));
+        });
+        current.addEventListener('message', (event) => {
+            try {
+                handleMessage(JSON.parse(event.data));
+            } catch (e) {
+                console.warn('Ignoring malformed session message:', e);
+            }
+        });
+        current.addEventListener('close', () => {
+            if (socket !== current) return;
+            socket = null;
+            reconnectTimer = setTimeout(connectRelay, RECONNECT_DELAY_MS);
+        });
+    }
+
+    /**
+     * Close every transport and drop session state
+     */
+    function disconnect() {
+        clearTimeout(reconnectTimer);
+        clearInterval(tickTimer);
+        tickTimer = null;
+        if (channel) {
+            channel.close();
+            channel = null;
+        }
+        if (socket) {
+            const closing = socket;
+            socket = null;
+            closing.close();
+        }
+        followers.clear();
+        otherLeaderSeenAt = -Infinity;
+        releaseLeader();
+    }
+
+    /**
+     * Join the configured session in the configured role
+     */
+    function connect() {
+        disconnect();
+        if (settings.role === ROLES.OFF) {
+            renderStatus();
+            return;
+        }
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(`timehack-session-${settings.name}`);
+            channel.onmessage = (event) => {
+                try {
+                    handleMessage(event.data);
+                } catch (e) {
+                    console.warn('Ignoring malformed session message:', e);
+                }
+            };
+        }
+        connectRelay();
+        tickTimer = setInterval(tick, STATE_INTERVAL_MS / 4);
+        renderStatus();
+    }
+
+    /**
+     * Describe the session for the status line
+     * @returns {string|null} Status text, or null when not in a session
+     */
+    function getStatusText() {
+        if (settings.role === ROLES.LEADER) {
+            const count = followers.size;
+            const conflict = performance.now() - otherLeaderSeenAt < PEER_TIMEOUT_MS ? ' · ANOTHER LEADER ACTIVE' : '';
+            return `LEADING "${settings.name}" · ${count} FOLLOWER${count === 1 ? '' : 'S'}${conflict}`;
+        }
+        if (settings.role === ROLES.FOLLOWER) {
+            if (!leader) return `WAITING FOR LEADER "${settings.name}"`;
+            const offset = getLeaderOffset();
+            if (!offset) return `FOLLOWING "${settings.name}" · MEASURING`;
+            const sign = offset.offsetMs >= 0 ? '+' : '−';
+            return `FOLLOWING "${settings.name}" · OWN CLOCK ${sign}${Math.abs(offset.offsetMs).toFixed(1)}ms ±${offset.errorMs.toFixed(1)}ms`;
+        }
+        return null;
+    }
+
+    /**
+     * How far this device's own time estimate is from the leader's
+     * @returns {object|null} {offsetMs, errorMs} (positive: own clock ahead),
+     *   or null before the first measurement
+     */
+    function getLeaderOffset() {
+        const best = leader && getBestSample();
+        if (!best) return null;
+        return { offsetMs: best.ownUtcMs - best.utcMs, errorMs: best.errorMs };
+    }
+
+    /**
+     * Show the session status in the panel
+     */
+    function renderStatus() {
+        const text = getStatusText() || 'Not in a session';
+        if (DOM.status.textContent !== text) {
+            DOM.status.textContent = text;
+        }
+    }
+
+    /**
+     * Load the session settings from localStorage
+     */
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && Object.values(ROLES).includes(saved.role)) {
+                settings = { ...settings, ...saved };
+            }
+        } catch (e) {
+            console.warn('Could not load session settings:', e);
+        }
+    }
+
+    /**
+     * Persist the session settings to localStorage
+     */
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save session settings:', e);
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        const apply = () => {
+            settings = {
+                role: DOM.role.value,
+                name: DOM.name.value.trim() || 'brief',
+                relayUrl: DOM.relay.value.trim()
+            };
+            saveSettings();
+            connect();
+        };
+        DOM.role.addEventListener('change', apply);
+        DOM.name.addEventListener('change', apply);
+        DOM.relay.addEventListener('change', apply);
+    }
+
+    return {
+        init: () => {
+            loadSettings();
+            // Samples taken before a suspend are on a broken performance.now() timeline
+            TimeSyncManager.onClockJump(() => {
+                samples = [];
+                pendingPings.clear();
+            });
+            DOM.role.value = settings.role;
+            DOM.name.value = settings.name;
+            DOM.relay.value = settings.relayUrl;
+            setupEventListeners();
+            connect();
+        },
+        ROLES,
+        getStatusText,
+        getLeaderOffset
     };
 })();
 
 // ============================================================================
-// FLASH & COUNTDOWN MODULE
+// SYNC DIAGNOSTICS MODULE
 // ============================================================================
 
-const VisualCueManager = (() => {
-    let lastFlashSecond = -1;
-    let lastCountdownSecond = -1;
-    let countdownMessageState = null;
-    let hackMessageTimeout = null;
+const DiagnosticsManager = (() => {
+    const REFRESH_INTERVAL_MS = 1000;
+    const CHART_PADDING = 24;         // Room for axis labels, in canvas pixels
+    let refreshTimer = null;
+    let renderedLastEntry = null;
+    let renderedThemeRevision = null;
+
+    const DOM = {
+        button: document.getElementById('diagnostics-btn'),
+        panel: document.getElementById('diagnostics-panel'),
+        summary: document.getElementById('diagnostics-summary'),
+        chart: document.getElementById('diagnostics-chart'),
+        rows: document.getElementById('diagnostics-rows'),
+        csvBtn: document.getElementById('diagnostics-csv'),
+        jsonBtn: document.getElementById('diagnostics-json')
+    };
+
+    /**
+     * Format a millisecond value for the table, blank when unknown
+     * @param {number|null} ms - Value
+     * @param {boolean} signed - Always show the sign
+     * @returns {string} Formatted value
+     */
+    function formatMs(ms, signed = false) {
+        if (ms === null || ms === undefined) return '—';
+        const text = ms.toFixed(1);
+        return signed && ms >= 0 ? `+${text}` : text;
+    }
+
+    /**
+     * Describe the sources of one attempt: agreed ones by name, the rest marked
+     * @param {object} entry - Sync log entry
+     * @returns {string} Source summary
+     */
+    function describeSources(entry) {
+        const others = entry.sources
+            .filter(source => source.status !== 'agreed')
+            .map(source => `✗ ${source.name} (${source.status})`);
+        return [['synced', 'restored'].includes(entry.result) ? entry.source : null, ...others].filter(Boolean).join(' · ') ||
+            entry.error || '—';
+    }
+
+    /**
+     * Rebuild the attempt table, newest first
+     * @param {Array<object>} log - Sync log
+     */
+    function renderTable(log) {
+        DOM.rows.replaceChildren(...log.slice().reverse().map(entry => {
+            const row = document.createElement('tr');
+            row.className = `diagnostics-${entry.result}`;
+            [
+                new Date(entry.utcMs).toISOString().slice(11, 19),
+                entry.result,
+                describeSources(entry),
+                formatMs(entry.rttMs),
+                formatMs(entry.offsetMs, true),
+                formatMs(entry.errorMs),
+                formatMs(entry.stepMs, true)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.title = entry.sources
+                .map(source => `${source.name}: ${source.status}` +
+                    (source.offsetMs !== null ? ` ${formatMs(source.offsetMs, true)} ± ${formatMs(source.errorMs)}ms, rtt ${formatMs(source.rttMs)}ms` : '') +
+                    (source.error ? ` ${source.error}` : ''))
+                .join('\n');
+            return row;
+        }));
+    }
+
+    /**
+     * Draw offset (with its error bar) against time for successful syncs
+     * @param {Array<object>} log - Sync log
+     */
+    function renderChart(log) {
+        const ctx = DOM.chart.getContext && DOM.chart.getContext('2d');
+        if (!ctx) return;
+        const { width, height } = DOM.chart;
+        ctx.clearRect(0, 0, width, height);
+
+        const points = log.filter(entry => entry.result === 'synced');
+        ctx.font = '10px monospace';
+        ctx.fillStyle = ThemeManager.getColor('fg-muted');
+        if (points.length === 0) {
+            ctx.fillText('No successful syncs yet', CHART_PADDING, height / 2);
+            return;
+        }
+
+        let low = Math.min(...points.map(p => p.offsetMs - p.errorMs));
+        let high = Math.max(...points.map(p => p.offsetMs + p.errorMs));
+        if (high - low < 2) {
+            low -= 1;
+            high += 1;
+        }
+        const start = points[0].utcMs;
+        const span = Math.max(points[points.length - 1].utcMs - start, 1);
+        const x = (utcMs) => CHART_PADDING + (utcMs - start) / span * (width - 2 * CHART_PADDING);
+        const y = (offsetMs) => height - CHART_PADDING / 2 - (offsetMs - low) / (high - low) * (height - CHART_PADDING);
+
+        ctx.fillText(`${formatMs(high, true)}ms`, 2, 10);
+        ctx.fillText(`${formatMs(low, true)}ms`, 2, height - 2);
+        ctx.fillText(`${Math.round(span / 60000)} min`, width - CHART_PADDING - 20, height - 2);
+
+        ctx.strokeStyle = ThemeManager.getColor('accent-dim');
+        ctx.beginPath();
+        points.forEach(p => {
+            ctx.moveTo(x(p.utcMs), y(p.offsetMs - p.errorMs));
+            ctx.lineTo(x(p.utcMs), y(p.offsetMs + p.errorMs));
+        });
+        ctx.stroke();
+
+        ctx.strokeStyle = ThemeManager.getColor('accent');
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(x(p.utcMs), y(p.offsetMs));
+            else ctx.lineTo(x(p.utcMs), y(p.offsetMs));
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Update the summary line, and the table and chart if a sync happened
+     */
+    function refresh() {
+        const log = TimeSyncManager.getSyncLog();
+        const synced = log.filter(entry => entry.result === 'synced').length;
+        const { state, uncertaintyMs } = TimeSyncManager.getSyncState();
+        const drift = TimeSyncManager.getDriftEstimate();
+        DOM.summary.textContent = `${state.toUpperCase()} · ${synced}/${log.length} attempts synced` +
+            (uncertaintyMs !== null ? ` · ±${uncertaintyMs.toFixed(1)}ms now` : '') +
+            (drift ? ` · rate ${drift.ratePpm.toFixed(1)} ppm` : '');
+
+        const lastEntry = log[log.length - 1] || null;
+        if (lastEntry === renderedLastEntry && ThemeManager.getRevision() === renderedThemeRevision) return;
+        renderedLastEntry = lastEntry;
+        renderedThemeRevision = ThemeManager.getRevision();
+        renderTable(log);
+        renderChart(log);
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV-safe text
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Download the sync log
+     * @param {string} format - 'csv' or 'json'
+     */
+    function exportLog(format) {
+        const log = TimeSyncManager.getSyncLog();
+        let content;
+        let type;
+        if (format === 'json') {
+            content = JSON.stringify(log.map(entry => ({ ...entry, utc: new Date(entry.utcMs).toISOString() })), null, 2);
+            type = 'application/json';
+        } else {
+            const header = ['utc', 'result', 'source', 'rtt_ms', 'offset_ms', 'error_ms', 'step_ms', 'failed_sources', 'error'];
+            const rows = log.map(entry => [
+                new Date(entry.utcMs).toISOString(),
+                entry.result,
+                entry.source,
+                entry.rttMs,
+                entry.offsetMs,
+                entry.errorMs,
+                entry.stepMs,
+                entry.sources.filter(s => s.status !== 'agreed').map(s => `${s.name}: ${s.status}`).join('; '),
+                entry.error
+            ]);
+            content = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+            type = 'text/csv';
+        }
+
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `timehack-sync-${new Date().toISOString().slice(0, 19).replace(/:/g, '')}Z.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.button.addEventListener('click', () => {
+            const opening = DOM.panel.classList.contains('hidden');
+            DOM.panel.classList.toggle('hidden', !opening);
+            DOM.button.classList.toggle('active', opening);
+            clearInterval(refreshTimer);
+            if (opening) {
+                renderedLastEntry = null;
+                refresh();
+                refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+            }
+        });
+        DOM.csvBtn.addEventListener('click', () => exportLog('csv'));
+        DOM.jsonBtn.addEventListener('click', () => exportLog('json'));
+    }
+
+    return {
+        init: setupEventListeners
+    };
+})();
+
+// ============================================================================
+// WATCH CHECK MODULE
+// ============================================================================
+
+const WatchCheckManager = (() => {
+    const STORAGE_KEY = 'timehack.watches';
+    const MAX_LOG_ENTRIES = 500;      // Per watch
+    const TAP_UNCERTAINTY_MS = 50;    // Typical spread of a tap anticipating a tick
+    const MIN_RATE_SPAN_MS = 3600000; // Don't report a rate fitted over less than this
+    const MS_PER_DAY = 86400000;
+    const REFRESH_INTERVAL_MS = 1000;
+
+    // Each watch keeps a log of checks ({utcMs, method: 'tap'|'hack', reading,
+    // errorMs, uncertaintyMs}) and 'set' markers, written when the watch was
+    // reset: the rate is only fitted over the checks since the last one
+    let watches = [];                 // {id, name, log}
+    let activeId = null;
+    let refreshTimer = null;
+
+    const DOM = {
+        button: document.getElementById('watch-btn'),
+        panel: document.getElementById('watch-panel'),
+        select: document.getElementById('watch-select'),
+        addForm: document.getElementById('watch-add-form'),
+        addName: document.getElementById('watch-add-name'),
+        reading: document.getElementById('watch-reading'),
+        tapBtn: document.getElementById('watch-tap'),
+        hackBtn: document.getElementById('watch-hack'),
+        setBtn: document.getElementById('watch-set'),
+        deleteBtn: document.getElementById('watch-delete'),
+        message: document.getElementById('watch-message'),
+        summary: document.getElementById('watch-summary'),
+        rows: document.getElementById('watch-rows'),
+        csvBtn: document.getElementById('watch-csv'),
+        jsonBtn: document.getElementById('watch-json')
+    };
+
+    /**
+     * Load saved watches from localStorage
+     */
+    function loadWatches() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                watches = (saved.watches || []).filter(w => w && typeof w.name === 'string' && Array.isArray(w.log));
+                activeId = saved.active || null;
+            }
+        } catch (e) {
+            console.warn('Could not load watch log:', e);
+        }
+        if (!watches.some(w => w.id === activeId)) {
+            activeId = watches.length ? watches[0].id : null;
+        }
+    }
+
+    /**
+     * Persist watches to localStorage
+     */
+    function saveWatches() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ watches, active: activeId }));
+        } catch (e) {
+            console.warn('Could not save watch log:', e);
+        }
+    }
+
+    /**
+     * Add a watch and make it the active one
+     * @param {string} name - Display name, e.g. "Seiko" or "Lt Smith"
+     * @returns {object} The new watch
+     */
+    function addWatch(name) {
+        const watch = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            log: []
+        };
+        watches.push(watch);
+        activeId = watch.id;
+        saveWatches();
+        return watch;
+    }
+
+    /**
+     * Delete a watch and its log
+     * @param {string} id - Watch id
+     */
+    function deleteWatch(id) {
+        watches = watches.filter(w => w.id !== id);
+        if (activeId === id) {
+            activeId = watches.length ? watches[0].id : null;
+        }
+        saveWatches();
+    }
+
+    /**
+     * Get the selected watch
+     * @returns {object|null} {id, name, log}
+     */
+    function getActiveWatch() {
+        return watches.find(w => w.id === activeId) || null;
+    }
+
+    /**
+     * Parse what a watch shows
+     * Accepts "SS", "MM:SS" or "HH:MM:SS", each with optional decimals on the
+     * seconds. Only the fields given are compared, so "03" measures the error
+     * within the minute and "14:32:03" within the day. Hours up to 12 are
+     * read as a 12-hour dial (compared within half a day) unless followed by
+     * AM or PM, since most pilot watches have one.
+     * @param {string} text - Reading typed by the user
+     * @returns {object} {ms, modulusMs, resolutionMs} - the reading in ms into
+     *   its period, the period's length, and half the last digit's step
+     */
+    function parseReading(text) {
+        const match = text.trim().toLowerCase()
+            .match(/^(?:(?:(\d{1,2}):)?(\d{1,2}):)?(\d{1,2})(?:\.(\d{1,3}))?(?:\s*([ap])\.?m?\.?)?$/);
+        if (!match) {
+            throw new Error(`Unrecognized watch reading: "${text}" (use SS, MM:SS or HH:MM:SS, optionally with AM/PM)`);
+        }
+        const [, h, m, s, fraction = '', meridiem] = match;
+        if (+s > 59 || (m !== undefined && +m > 59) || (h !== undefined && +h > 23) ||
+            (meridiem && (h === undefined || +h < 1 || +h > 12))) {
+            throw new Error(`Invalid watch reading: "${text}"`);
+        }
+        let hours = +(h || 0);
+        let modulusMs = m !== undefined ? 3600000 : 60000;
+        if (meridiem) {
+            hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+            modulusMs = MS_PER_DAY;
+        } else if (h !== undefined) {
+            modulusMs = hours <= 12 ? MS_PER_DAY / 2 : MS_PER_DAY;
+        }
+        return {
+            ms: ((hours * 60 + +(m || 0)) * 60 + +s) * 1000 + (fraction ? parseFloat(`0.${fraction}`) * 1000 : 0),
+            modulusMs,
+            resolutionMs: 500 / 10 ** fraction.length
+        };
+    }
+
+    /**
+     * Compute a watch's error from a reading and the true time it was taken at
+     * The reading is compared as a time of day in the selected timezone, and
+     * the error wrapped into the reading's period (±30 s for "SS").
+     * @param {object} reading - From parseReading
+     * @param {number} utcMs - True UTC time the watch showed the reading at
+     * @returns {number} Watch minus true time, in milliseconds
+     */
+    function computeError(reading, utcMs) {
+        const { hour, minute, second } = TimezoneManager.getTimeComponentsInTimezone(
+            new Date(utcMs), TimezoneManager.getTimezone());
+        const trueMs = ((hour * 60 + minute) * 60 + second) * 1000 + (((utcMs % 1000) + 1000) % 1000);
+        const half = reading.modulusMs / 2;
+        return ((((reading.ms - trueMs) % reading.modulusMs) + reading.modulusMs + half) % reading.modulusMs) - half;
+    }
+
+    /**
+     * Record a check against the active watch
+     * @param {string} method - 'tap' or 'hack'
+     * @param {number} utcMs - True UTC time of the reading
+     * @returns {object} The log entry
+     */
+    function recordCheck(method, utcMs) {
+        const watch = getActiveWatch();
+        if (!watch) {
+            throw new Error('Add a watch first');
+        }
+        const { state, uncertaintyMs } = TimeSyncManager.getSyncState();
+        if (uncertaintyMs === null || state === TimeSyncManager.SYNC_STATES.RESYNCING) {
+            throw new Error('Not synced to a time source; a check now would only measure the system clock');
+        }
+        const reading = parseReading(DOM.reading.value);
+        const entry = {
+            utcMs,
+            method,
+            reading: DOM.reading.value.trim(),
+            errorMs: computeError(reading, utcMs),
+            uncertaintyMs: uncertaintyMs + (method === 'tap' ? TAP_UNCERTAINTY_MS : reading.resolutionMs)
+        };
+        watch.log.push(entry);
+        if (watch.log.length > MAX_LOG_ENTRIES) {
+            watch.log.shift();
+        }
+        saveWatches();
+        return entry;
+    }
+
+    /**
+     * Fit the watch's gain or loss by weighted linear regression of its error
+     * over the checks since it was last set, each weighted by 1/uncertainty²
+     * @param {Array<object>} log - Watch log
+     * @returns {object|null} {rateSecPerDay, rateStdErrSecPerDay, spanMs,
+     *   checks} - null until the checks span MIN_RATE_SPAN_MS
+     */
+    function fitWatchRate(log) {
+        const lastSet = log.map(entry => entry.method).lastIndexOf('set');
+        const points = log.slice(lastSet + 1);
+        if (points.length < 2) return null;
+        const spanMs = points[points.length - 1].utcMs - points[0].utcMs;
+        if (spanMs < MIN_RATE_SPAN_MS) return null;
+
+        let sw = 0, sx = 0, sy = 0;
+        points.forEach(p => {
+            const w = 1 / Math.max(p.uncertaintyMs, 1) ** 2;
+            sw += w;
+            sx += w * p.utcMs;
+            sy += w * p.errorMs;
+        });
+        const xMean = sx / sw;
+        const yMean = sy / sw;
+        let sxx = 0, sxy = 0;
+        points.forEach(p => {
+            const w = 1 / Math.max(p.uncertaintyMs, 1) ** 2;
+            sxx += w * (p.utcMs - xMean) ** 2;
+            sxy += w * (p.utcMs - xMean) * (p.errorMs - yMean);
+        });
+        const rate = sxy / sxx;
+        return {
+            rateSecPerDay: rate * MS_PER_DAY / 1000,
+            rateStdErrSecPerDay: Math.sqrt(1 / sxx) * MS_PER_DAY / 1000,
+            spanMs,
+            checks: points.length
+        };
+    }
+
+    /**
+     * Format a duration as "2d 4h", "3h 12m" or "5m"
+     * @param {number} ms - Duration
+     * @returns {string}
+     */
+    function formatSpan(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes >= 1440) return `${Math.floor(minutes / 1440)}d ${Math.floor(minutes / 60) % 24}h`;
+        if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    }
+
+    /**
+     * Format an error in seconds with its sign
+     * @param {number} ms - Error in milliseconds
+     * @returns {string}
+     */
+    function formatError(ms) {
+        return `${ms >= 0 ? '+' : '−'}${(Math.abs(ms) / 1000).toFixed(2)}`;
+    }
+
+    /**
+     * Show a status or error message in the panel
+     * @param {string} text - Message
+     * @param {boolean} isError - Whether to show it as an error
+     */
+    function showMessage(text, isError = false) {
+        DOM.message.textContent = text;
+        DOM.message.classList.toggle('error', isError);
+    }
+
+    /**
+     * Update the summary: last error, rate, and the error predicted now
+     */
+    function renderSummary() {
+        const watch = getActiveWatch();
+        const checks = watch ? watch.log.filter(entry => entry.method !== 'set') : [];
+        if (checks.length === 0) {
+            DOM.summary.textContent = watch ? 'No checks yet' : 'Add a watch to start';
+            return;
+        }
+        const last = checks[checks.length - 1];
+        const sinceMs = TimeSyncManager.getCurrentUtcMs() - last.utcMs;
+        const setSince = watch.log[watch.log.length - 1].method === 'set';
+        const fit = fitWatchRate(watch.log);
+        let text = `Last check ${formatError(last.errorMs)} s, ${formatSpan(sinceMs)} ago` +
+            (setSince ? ' (watch set since)' : '');
+        if (fit) {
+            text += ` · Rate ${fit.rateSecPerDay >= 0 ? '+' : '−'}${Math.abs(fit.rateSecPerDay).toFixed(2)} ` +
+                `± ${fit.rateStdErrSecPerDay.toFixed(2)} s/day over ${formatSpan(fit.spanMs)} (${fit.checks} checks)`;
+            if (!setSince) {
+                text += ` · Now about ${formatError(last.errorMs + fit.rateSecPerDay * 1000 * sinceMs / MS_PER_DAY)} s`;
+            }
+        } else {
+            text += ' · Rate needs checks at least 1h apart since the watch was last set';
+        }
+        DOM.summary.textContent = text;
+    }
+
+    /**
+     * Rebuild the watch list and the active watch's log, newest first
+     */
+    function renderPanel() {
+        DOM.select.replaceChildren(...watches.map(w => new Option(w.name, w.id, false, w.id === activeId)));
+        const watch = getActiveWatch();
+        [DOM.tapBtn, DOM.hackBtn, DOM.setBtn, DOM.deleteBtn].forEach(btn => { btn.disabled = !watch; });
+
+        DOM.rows.replaceChildren(...(watch ? watch.log.slice().reverse() : []).map(entry => {
+            const row = document.createElement('tr');
+            row.className = `watch-${entry.method}`;
+            const cells = entry.method === 'set'
+                ? [new Date(entry.utcMs).toISOString().slice(0, 16).replace('T', ' '), 'set', '—', '—', '—']
+                : [
+                    new Date(entry.utcMs).toISOString().slice(0, 16).replace('T', ' '),
+                    entry.method,
+                    entry.reading,
+                    formatError(entry.errorMs),
+                    (entry.uncertaintyMs / 1000).toFixed(2)
+                ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+        renderSummary();
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV-safe text
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Download every watch's log, with each watch's fitted rate
+     * @param {string} format - 'csv' or 'json'
+     */
+    function exportLog(format) {
+        let content;
+        let type;
+        if (format === 'json') {
+            content = JSON.stringify(watches.map(w => ({
+                name: w.name,
+                rate: fitWatchRate(w.log),
+                log: w.log.map(entry => ({ ...entry, utc: new Date(entry.utcMs).toISOString() }))
+            })), null, 2);
+            type = 'application/json';
+        } else {
+            const header = ['watch', 'utc', 'method', 'reading', 'error_s', 'uncertainty_s'];
+            const rows = watches.flatMap(w => w.log.map(entry => [
+                w.name,
+                new Date(entry.utcMs).toISOString(),
+                entry.method,
+                entry.reading,
+                entry.method === 'set' ? null : entry.errorMs / 1000,
+                entry.method === 'set' ? null : entry.uncertaintyMs / 1000
+            ]));
+            content = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+            type = 'text/csv';
+        }
+
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `timehack-watches-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Take a check and report it, or report why it failed
+     * @param {string} method - 'tap' or 'hack'
+     * @param {number} utcMs - True UTC time of the reading
+     */
+    function check(method, utcMs) {
+        try {
+            const entry = recordCheck(method, utcMs);
+            showMessage(`Watch ${entry.errorMs >= 0 ? 'fast' : 'slow'} by ${(Math.abs(entry.errorMs) / 1000).toFixed(2)} s ` +
+                `(± ${(entry.uncertaintyMs / 1000).toFixed(2)} s)`);
+            renderPanel();
+        } catch (e) {
+            showMessage(e.message, true);
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.button.addEventListener('click', () => {
+            const opening = DOM.panel.classList.contains('hidden');
+            DOM.panel.classList.toggle('hidden', !opening);
+            DOM.button.classList.toggle('active', opening);
+            clearInterval(refreshTimer);
+            if (opening) {
+                renderPanel();
+                refreshTimer = setInterval(renderSummary, REFRESH_INTERVAL_MS);
+            }
+        });
+
+        DOM.select.addEventListener('change', () => {
+            activeId = DOM.select.value;
+            saveWatches();
+            showMessage('');
+            renderPanel();
+        });
+
+        DOM.addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!DOM.addName.value.trim()) return;
+            addWatch(DOM.addName.value);
+            DOM.addName.value = '';
+            showMessage('');
+            renderPanel();
+        });
+
+        // The tap is timed on press rather than release, from the event's own
+        // timestamp, so handler delay doesn't count against the watch
+        const tapUtcMs = (e) => {
+            // Some engines stamp events with epoch time instead; use "now" there
+            const tapPerf = e.timeStamp <= performance.now() ? e.timeStamp : performance.now();
+            return TimeSyncManager.getCurrentUtcMs() - (performance.now() - tapPerf);
+        };
+        DOM.tapBtn.addEventListener('pointerdown', (e) => {
+            check('tap', tapUtcMs(e));
+        });
+        DOM.tapBtn.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' && e.key !== 'Enter') return;
+            e.preventDefault();
+            if (!e.repeat) check('tap', tapUtcMs(e));
+        });
+
+        DOM.hackBtn.addEventListener('click', () => {
+            const hackUtcMs = TargetTimeManager.getLastHack(TimeSyncManager.getCurrentUtcMs());
+            if (hackUtcMs === null) {
+                showMessage('No HACK yet: the target time has not been reached', true);
+                return;
+            }
+            check('hack', hackUtcMs);
+        });
+
+        DOM.setBtn.addEventListener('click', () => {
+            const watch = getActiveWatch();
+            if (!watch) return;
+            watch.log.push({ utcMs: TimeSyncManager.getCurrentUtcMs(), method: 'set' });
+            saveWatches();
+            showMessage('Marked as set; the rate starts again from the next check');
+            renderPanel();
+        });
+
+        DOM.deleteBtn.addEventListener('click', () => {
+            const watch = getActiveWatch();
+            if (!watch || !confirm(`Delete ${watch.name} and its log?`)) return;
+            deleteWatch(watch.id);
+            showMessage('');
+            renderPanel();
+        });
+
+        DOM.csvBtn.addEventListener('click', () => exportLog('csv'));
+        DOM.jsonBtn.addEventListener('click', () => exportLog('json'));
+    }
+
+    return {
+        init: () => {
+            loadWatches();
+            setupEventListeners();
+        },
+        parseReading,
+        computeError,
+        fitWatchRate
+    };
+})();
+
+// ============================================================================
+// TIMERS MODULE
+// ============================================================================
+
+const TimerManager = (() => {
+    const STORAGE_KEY = 'timehack.timers';
+    const COUNTDOWN_CUE_SECONDS = 10; // Countdown-style cues flash on each of the last this many seconds
+    const MAX_LAPS = 99;
+
+    // A timer counts from its origin, the UTC time its elapsed time was zero
+    // (shifted forward by any time spent paused). Times are on the synced
+    // time base, so running timers survive a reload.
+    //   {id, name, mode: 'up'|'down', durationMs, cue: 'flash'|'countdown'|'none',
+    //    originUtcMs, pausedElapsedMs, laps: [elapsedMs]}
+    // originUtcMs is null when stopped; pausedElapsedMs is the elapsed time
+    // held while stopped. An origin in the future means armed for a hack.
+    let timers = [];
+    const lastCueKeys = new Map();    // Timer id -> second last cued, see processCues
+    let renderedListKey = null;
+    let rows = new Map();             // Timer id -> {time, laps, strip, ...} elements
+
+    const DOM = {
+        button: document.getElementById('timers-btn'),
+        panel: document.getElementById('timers-panel'),
+        list: document.getElementById('timers-list'),
+        addForm: document.getElementById('timer-add-form'),
+        addName: document.getElementById('timer-add-name'),
+        addMode: document.getElementById('timer-add-mode'),
+        addDuration: document.getElementById('timer-add-duration'),
+        addCue: document.getElementById('timer-add-cue'),
+        message: document.getElementById('timers-message'),
+        strip: document.getElementById('timer-strip')
+    };
+
+    /**
+     * Load saved timers from localStorage
+     */
+    function loadTimers() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                timers = saved.filter(t => t && typeof t.name === 'string' && ['up', 'down'].includes(t.mode));
+            }
+        } catch (e) {
+            console.warn('Could not load timers:', e);
+        }
+    }
+
+    /**
+     * Persist timers to localStorage
+     */
+    function saveTimers() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(timers));
+        } catch (e) {
+            console.warn('Could not save timers:', e);
+        }
+    }
+
+    /**
+     * Add a timer
+     * @param {object} options - {name, mode: 'up'|'down', duration (text, see
+     *   TargetTimeManager.parseDuration; countdowns only), cue}
+     * @returns {object} The new timer
+     */
+    function addTimer({ name, mode, duration = '', cue = 'flash' }) {
+        let durationMs = null;
+        if (mode === 'down') {
+            durationMs = TargetTimeManager.parseDuration(duration.trim().toLowerCase());
+            if (durationMs === null || durationMs < 1000) {
+                throw new Error(`Unrecognized duration: "${duration}" (e.g. 4:00 or 4m)`);
+            }
+            // Whole seconds keep every tick of the timer on one phase
+            durationMs = Math.round(durationMs / 1000) * 1000;
+        }
+        const timer = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim() || (mode === 'down' ? 'COUNTDOWN' : 'TIMER'),
+            mode,
+            durationMs,
+            cue: mode === 'down' ? cue : 'none',
+            originUtcMs: null,
+            pausedElapsedMs: 0,
+            laps: []
+        };
+        timers.push(timer);
+        saveTimers();
+        return timer;
+    }
 
-    const DOM = {
-        clock: document.getElementById('clock'),
-        flashOverlay: document.getElementById('flash-overlay'),
-        countdownOverlay: document.getElementById('countdown-overlay'),
-        countdownNumber: document.getElementById('countdown-number'),
-        upcomingText: document.getElementById('upcoming-text')
-    };
+    /**
+     * Find a timer by id
+     * @param {string} id - Timer id
+     * @returns {object|undefined}
+     */
+    function findTimer(id) {
+        return timers.find(t => t.id === id);
+    }
 
     /**
-     * Check if we should trigger flash at this moment
-     * Flash occurs at :00 and :30 seconds
-     * @param {number} seconds - Current UTC seconds (0-59)
-     * @returns {boolean}
+     * Elapsed time of a timer
+     * @param {object} timer - Timer
+     * @param {number} nowUtcMs - UTC time in milliseconds
+     * @returns {number} Elapsed milliseconds; negative while armed
      */
-    function shouldFlash(seconds) {
-        return seconds === 0 || seconds === 30;
+    function getElapsedMs(timer, nowUtcMs) {
+        return timer.originUtcMs === null ? timer.pausedElapsedMs : nowUtcMs - timer.originUtcMs;
     }
 
     /**
-     * Trigger flash(es) with customizable count and style
-     * Uses CSS class toggling for performance
-     * @param {object} options - {count: number, type: 'regular'|'countdown'}
+     * Start or resume a timer now, or pause it if running
+     * @param {string} id - Timer id
      */
-    function triggerFlash(options = {}) {
-        const {
-            count = 3,
-            type = 'regular'
-        } = options;
+    function toggleRunning(id) {
+        const timer = findTimer(id);
+        const nowUtcMs = TimeSyncManager.getCurrentUtcMs();
+        if (timer.originUtcMs === null) {
+            timer.originUtcMs = nowUtcMs - timer.pausedElapsedMs;
+        } else {
+            timer.pausedElapsedMs = Math.max(0, getElapsedMs(timer, nowUtcMs));
+            timer.originUtcMs = null;
+        }
+        saveTimers();
+    }
 
-        let flashCount = 0;
-        const FLASH_DURATION_MS = 150;
-        const FLASH_INTERVAL_MS = 160;
+    /**
+     * Arm a timer to start from zero on the next hack
+     * @param {string} id - Timer id
+     * @returns {number} Hack UTC time the timer starts at
+     */
+    function startOnNextHack(id) {
+        const timer = findTimer(id);
+        const nowUtcMs = TimeSyncManager.getCurrentUtcMs();
+        let hack = TargetTimeManager.getNextHack(nowUtcMs);
+        if (hack && hack.hackUtcMs <= nowUtcMs) {
+            // Look past a hack that is still in its own second
+            hack = TargetTimeManager.getNextHack(hack.hackUtcMs + 1000);
+        }
+        if (!hack) {
+            throw new Error('No HACK ahead: the target time has passed');
+        }
+        timer.originUtcMs = hack.hackUtcMs;
+        timer.pausedElapsedMs = 0;
+        timer.laps = [];
+        lastCueKeys.delete(id);
+        saveTimers();
+        return hack.hackUtcMs;
+    }
 
-        function doFlash() {
-            if (flashCount >= count) return;
-            
-            DOM.flashOverlay.classList.add('flash');
-            if (type === 'countdown') {
-                DOM.flashOverlay.classList.add('flash-countdown');
-                DOM.clock.classList.add('flash-text-invert');
-            }
-            flashCount++;
-            
-            setTimeout(() => {
-                DOM.flashOverlay.classList.remove('flash');
-                DOM.flashOverlay.classList.remove('flash-countdown');
-                DOM.clock.classList.remove('flash-text-invert');
-                if (flashCount < count) {
-                    setTimeout(doFlash, FLASH_INTERVAL_MS);
-                }
-            }, FLASH_DURATION_MS);
+    /**
+     * Record a lap (split) at the current elapsed time
+     * @param {string} id - Timer id
+     */
+    function lap(id) {
+        const timer = findTimer(id);
+        const elapsedMs = getElapsedMs(timer, TimeSyncManager.getCurrentUtcMs());
+        if (timer.originUtcMs === null || elapsedMs < 0) return;
+        timer.laps.push(elapsedMs);
+        if (timer.laps.length > MAX_LAPS) {
+            timer.laps.shift();
         }
+        saveTimers();
+    }
 
-        doFlash();
+    /**
+     * Stop a timer and return it to zero
+     * @param {string} id - Timer id
+     */
+    function reset(id) {
+        const timer = findTimer(id);
+        timer.originUtcMs = null;
+        timer.pausedElapsedMs = 0;
+        timer.laps = [];
+        lastCueKeys.delete(id);
+        saveTimers();
     }
 
     /**
-     * Update countdown display with messages in footer
-     * @param {number} seconds - Current UTC seconds
+     * Delete a timer
+     * @param {string} id - Timer id
      */
-    function updateCountdown(seconds) {
-        const isCountdownPeriod = seconds >= 50 || seconds === 0;
-        
-        if (!isCountdownPeriod) {
-            // Clear countdown state when outside countdown period
-            if (countdownMessageState !== null && countdownMessageState !== 'hack') {
-                countdownMessageState = null;
-                // Clear the HACK message timeout if it exists
-                if (hackMessageTimeout) {
-                    clearTimeout(hackMessageTimeout);
-                    hackMessageTimeout = null;
-                }
-            }
-            lastCountdownSecond = -1;
-            return;
+    function removeTimer(id) {
+        timers = timers.filter(t => t.id !== id);
+        lastCueKeys.delete(id);
+        saveTimers();
+    }
+
+    /**
+     * Format a duration as M:SS or H:MM:SS, with tenths if asked
+     * @param {number} ms - Non-negative duration in milliseconds
+     * @param {boolean} [tenths] - Append tenths of a second
+     * @returns {string}
+     */
+    function formatDuration(ms, tenths = false) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        const fraction = tenths ? `.${Math.floor((ms % 1000) / 100)}` : '';
+        if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}${fraction}`;
+        return `${minutes}:${seconds}${fraction}`;
+    }
+
+    /**
+     * Text a timer shows at a moment
+     * Countdowns round up, like the hack countdown, and count up with a "+"
+     * once expired.
+     * @param {object} timer - Timer
+     * @param {number} nowUtcMs - UTC time in milliseconds
+     * @returns {object} {text, state: 'idle'|'armed'|'running'|'paused'|'expired'}
+     */
+    function describe(timer, nowUtcMs) {
+        const elapsedMs = getElapsedMs(timer, nowUtcMs);
+        let state;
+        if (timer.originUtcMs === null) {
+            state = elapsedMs > 0 ? 'paused' : 'idle';
+        } else {
+            state = elapsedMs < 0 ? 'armed' : 'running';
         }
+        if (state === 'armed') {
+            return { text: `HACK −${formatDuration(Math.ceil(-elapsedMs / 1000) * 1000)}`, state };
+        }
+        if (timer.mode === 'up') {
+            return { text: formatDuration(elapsedMs), state };
+        }
+        const remainingMs = timer.durationMs - elapsedMs;
+        if (remainingMs > 0) {
+            return { text: formatDuration(Math.ceil(remainingMs / 1000) * 1000), state };
+        }
+        return { text: `+${formatDuration(-remainingMs)}`, state: state === 'running' ? 'expired' : state };
+    }
 
-        // Only update when second changes
-        if (seconds === lastCountdownSecond) {
-            return;
+    /**
+     * Fire a countdown timer's cues for a frame: the active cue profile's
+     * countdown flash on each of the last seconds ('countdown' cue) and its
+     * flash on expiry, or the safe hack cue in safe mode. Each is started at
+     * the moment its second began to be seen, as the hack cues are.
+     * @param {object} timer - Running countdown timer
+     * @param {number} nowUtcMs - UTC time in milliseconds the frame is seen
+     * @param {number} framePerfMs - The same moment on the performance.now() clock
+     */
+    function processCues(timer, nowUtcMs, framePerfMs) {
+        const remainingMs = timer.durationMs - (nowUtcMs - timer.originUtcMs);
+        // Still armed, or expired long ago (e.g. across a reload): nothing to cue
+        if (nowUtcMs < timer.originUtcMs || remainingMs <= -1000 || timer.cue === 'none') return;
+        const secondsLeft = Math.max(0, Math.ceil(remainingMs / 1000));
+        if (secondsLeft > COUNTDOWN_CUE_SECONDS || lastCueKeys.get(timer.id) === secondsLeft) return;
+        lastCueKeys.set(timer.id, secondsLeft);
+
+        const profile = CueProfileManager.getActiveProfile();
+        const secondStartPerfMs = framePerfMs - (secondsLeft * 1000 - remainingMs);
+        if (secondsLeft === 0) {
+            VisualCueManager.triggerFlash({ ...profile.flash, type: profile.flash.style }, secondStartPerfMs);
+            VisualCueManager.cueTimerExpiry(secondStartPerfMs);
+        } else if (timer.cue === 'countdown' && profile.countdownFlash) {
+            VisualCueManager.triggerFlash({ ...profile.countdownFlash, type: profile.countdownFlash.style }, secondStartPerfMs);
         }
-        lastCountdownSecond = seconds;
+    }
+
+    /**
+     * Earliest time after now that any running timer's display changes, so
+     * the render loop can wake for it (timers started by a press don't tick
+     * on UTC second boundaries)
+     * @param {number} nowUtcMs - UTC time in milliseconds
+     * @returns {number} UTC time in milliseconds, Infinity if none is running
+     */
+    function getNextBoundaryUtcMs(nowUtcMs) {
+        return timers.reduce((next, timer) => {
+            if (timer.originUtcMs === null) return next;
+            const boundary = timer.originUtcMs + (Math.floor((nowUtcMs - timer.originUtcMs) / 1000) + 1) * 1000;
+            return Math.min(next, boundary);
+        }, Infinity);
+    }
+
+    /**
+     * Create a small button for a timer row
+     * @param {string} label - Button text
+     * @param {string} title - Tooltip
+     * @param {string} action - data-action handled in setupEventListeners
+     * @returns {HTMLButtonElement}
+     */
+    function createButton(label, title, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.title = title;
+        button.dataset.action = action;
+        return button;
+    }
+
+    /**
+     * Rebuild the panel rows and the on-screen strip when timers are added,
+     * removed, started or stopped; times are filled in by render()
+     */
+    function buildList() {
+        rows = new Map();
+        const panelRows = [];
+        const stripItems = [];
+        timers.forEach(timer => {
+            const row = document.createElement('div');
+            row.className = 'timer-row';
+            row.dataset.id = timer.id;
+
+            const name = document.createElement('span');
+            name.className = 'timer-name';
+            name.textContent = timer.name;
+            name.title = timer.mode === 'down'
+                ? `Countdown from ${formatDuration(timer.durationMs)}, ${timer.cue === 'none' ? 'no' : timer.cue} cue`
+                : 'Counts up';
+            const time = document.createElement('span');
+            time.className = 'timer-time';
+
+            const actions = document.createElement('div');
+            actions.className = 'panel-actions';
+            actions.append(
+                createButton(timer.originUtcMs === null ? '▶' : '⏸', 'Start or pause now', 'toggle'),
+                createButton('HACK', 'Start from zero on the next hack', 'hack'),
+                createButton('Lap', 'Record a split', 'lap'),
+                createButton('↺', 'Reset', 'reset'),
+                createButton('✕', 'Delete', 'remove')
+            );
+
+            const laps = document.createElement('ol');
+            laps.className = 'timer-laps';
+            timer.laps.forEach((splitMs, i) => {
+                const item = document.createElement('li');
+                const lapMs = splitMs - (i > 0 ? timer.laps[i - 1] : 0);
+                item.textContent = `${formatDuration(splitMs, true)}  (lap ${formatDuration(lapMs, true)})`;
+                laps.appendChild(item);
+            });
+            row.append(name, time, actions, laps);
+            panelRows.push(row);
 
-        triggerFlash({ count: 1, type: 'countdown' });
+            const strip = document.createElement('div');
+            strip.className = 'timer-strip-item';
+            strip.textContent = `${timer.name} `;
+            const stripTime = document.createElement('span');
+            strip.appendChild(stripTime);
+            stripItems.push(strip);
 
-        // Stage 1: :50-:54 - "TEN SECONDS, STANDBY"
-        if (seconds >= 50 && seconds <= 54) {
-            DOM.upcomingText.textContent = 'TEN SECONDS, STANDBY';
-            countdownMessageState = 'standby';
+            rows.set(timer.id, { row, time, strip, stripTime, renderedState: null });
+        });
+        DOM.list.replaceChildren(...panelRows);
+        DOM.strip.replaceChildren(...stripItems);
+    }
+
+    /**
+     * Draw every timer for a frame and fire countdown cues
+     * @param {number} nowUtcMs - UTC time in milliseconds the frame is seen
+     * @param {number} framePerfMs - The same moment on the performance.now() clock
+     */
+    function render(nowUtcMs, framePerfMs) {
+        const listKey = timers.map(t => `${t.id}/${t.originUtcMs}/${t.laps.length}`).join('|');
+        if (listKey !== renderedListKey) {
+            renderedListKey = listKey;
+            buildList();
         }
-        // Stage 2: :55-:59 - Countdown 5 down to 1 (skipping 4)
-        else if (seconds >= 55 && seconds <= 59) {
-            const countNum = 60 - seconds; // 5, 4, 3, 2, 1
-            // Skip displaying 4
-            if (countNum !== 4) {
-                DOM.upcomingText.textContent = `${countNum}`;
-                countdownMessageState = 'countdown';
+
+        timers.forEach(timer => {
+            if (timer.mode === 'down' && timer.originUtcMs !== null) {
+                processCues(timer, nowUtcMs, framePerfMs);
             }
-        }
-        // Stage 3: :00 - "HACK, THE TIME IS NOW HH:MM"
-        else if (seconds === 0) {
-            const timezone = TimezoneManager.getTimezone();
-            const utcDate = TimeSyncManager.getCurrentUtcDate();
-            const components = TimezoneManager.getTimeComponentsInTimezone(utcDate, timezone);
-            const hour = String(components.hour).padStart(2, '0');
-            const minute = String(components.minute).padStart(2, '0');
-            
-            DOM.upcomingText.textContent = `HACK, THE TIME IS NOW ${hour}:${minute} LOCAL`;
-            countdownMessageState = 'hack';
-            
-            // Clear any existing timeout
-            if (hackMessageTimeout) {
-                clearTimeout(hackMessageTimeout);
+            const elements = rows.get(timer.id);
+            const { text, state } = describe(timer, nowUtcMs);
+            if (elements.time.textContent !== text) {
+                elements.time.textContent = text;
+                elements.stripTime.textContent = text;
             }
-            
-            // Hide HACK message after 3 seconds
-            hackMessageTimeout = setTimeout(() => {
-                if (countdownMessageState === 'hack') {
-                    countdownMessageState = null;
-                    // Reset to normal upcoming text calculation
-                    const displayManager = window.DisplayManager;
-                    if (displayManager && typeof displayManager.updateUpcomingTextNow === 'function') {
-                        displayManager.updateUpcomingTextNow();
-                    }
-                }
-                hackMessageTimeout = null;
-            }, 5000);
-        }
+            if (state !== elements.renderedState) {
+                elements.renderedState = state;
+                elements.row.dataset.state = state;
+                elements.strip.dataset.state = state;
+                // The strip shows what is live; stopped timers stay in the panel
+                elements.strip.classList.toggle('hidden', state === 'idle' || state === 'paused');
+            }
+        });
     }
 
     /**
-     * Check if currently displaying countdown message
-     * @returns {boolean}
+     * Show a status or error message in the panel
+     * @param {string} text - Message
+     * @param {boolean} isError - Whether to show it as an error
      */
-    function isInCountdownMode() {
-        return countdownMessageState !== null;
+    function showMessage(text, isError = false) {
+        DOM.message.textContent = text;
+        DOM.message.classList.toggle('error', isError);
     }
 
     /**
-     * Process flash and countdown logic
-     * Called on each animation frame
+     * Set up event listeners
      */
-    function processVisualCues() {
-        const utcSeconds = TimeSyncManager.getCurrentUtcSeconds();
+    function setupEventListeners() {
+        DOM.button.addEventListener('click', () => {
+            const opening = DOM.panel.classList.contains('hidden');
+            DOM.panel.classList.toggle('hidden', !opening);
+            DOM.button.classList.toggle('active', opening);
+        });
 
-        // Handle countdown (10 seconds before minute and at :00)
-        updateCountdown(utcSeconds);
+        const syncDurationField = () => {
+            DOM.addDuration.disabled = DOM.addMode.value !== 'down';
+            DOM.addCue.disabled = DOM.addMode.value !== 'down';
+        };
+        DOM.addMode.addEventListener('change', syncDurationField);
+        syncDurationField();
 
-        // Handle flashes at :00 and :30
-        if (shouldFlash(utcSeconds) && utcSeconds !== lastFlashSecond) {
-            triggerFlash();
-            lastFlashSecond = utcSeconds;
-        }
+        DOM.addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                addTimer({
+                    name: DOM.addName.value,
+                    mode: DOM.addMode.value,
+                    duration: DOM.addDuration.value,
+                    cue: DOM.addCue.value
+                });
+                DOM.addName.value = '';
+                DOM.addDuration.value = '';
+                showMessage('');
+            } catch (err) {
+                showMessage(err.message, true);
+            }
+        });
 
-        // Reset flash tracking when we leave :00 and :30
-        if (!shouldFlash(utcSeconds)) {
-            lastFlashSecond = -1;
-        }
+        DOM.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const { id } = button.closest('.timer-row').dataset;
+            try {
+                switch (button.dataset.action) {
+                    case 'toggle': toggleRunning(id); break;
+                    case 'hack': {
+                        const hackUtcMs = startOnNextHack(id);
+                        showMessage(`Starts at ${new Date(hackUtcMs).toISOString().slice(11, 19)}Z`);
+                        break;
+                    }
+                    case 'lap': lap(id); break;
+                    case 'reset': reset(id); break;
+                    case 'remove': removeTimer(id); break;
+                    default: break;
+                }
+            } catch (err) {
+                showMessage(err.message, true);
+            }
+        });
     }
 
     return {
-        processVisualCues,
-        isInCountdownMode
+        init: () => {
+            loadTimers();
+            setupEventListeners();
+        },
+        render,
+        getNextBoundaryUtcMs
     };
 })();
 
@@ -458,132 +5555,526 @@ const VisualCueManager = (() => {
 const DisplayManager = (() => {
     const DOM = {
         clock: document.getElementById('clock'),
+        clockDisplay: document.querySelector('.clock-display'),
+        dateLine: document.getElementById('date-line'),
         upcomingText: document.getElementById('upcoming-text'),
         syncStatusText: document.getElementById('sync-status-text'),
         syncStatus: document.querySelector('.sync-status'),
+        countdownWarning: document.getElementById('countdown-warning'),
         tzSelect: document.getElementById('tz-select'),
-        syncAccuracy: document.getElementById('sync-accuracy')
+        tzSearch: document.getElementById('tz-search'),
+        tzFavorite: document.getElementById('tz-favorite'),
+        syncAccuracy: document.getElementById('sync-accuracy'),
+        syncSources: document.getElementById('sync-sources'),
+        targetForm: document.getElementById('target-form'),
+        targetInput: document.getElementById('target-input'),
+        targetClear: document.getElementById('target-clear'),
+        targetError: document.getElementById('target-error'),
+        targetDisplay: document.getElementById('target-display')
     };
+    let renderedSourceReport = null;
+    let renderedAccuracyKey = null;
+    const timezoneLabels = new Map(); // IANA name -> option label, see createTimezoneOption
+    const TIMEZONE_LABEL_TTL_MS = 15 * 60000; // DST changes fall on quarter hours at the finest
+    let timezoneLabelsPeriod = null;  // Quarter hour the cached labels were made in
+
+    // Update scheduling, see scheduleNextUpdate()
+    let updateTimer = null;
+    let frameRequest = null;
+    const WAKE_SLACK_MS = 1;          // Wake just after a boundary, never just before it
+    const RUN_IN_FRAMES = 2;          // Frames drawn before a boundary to find the one seen at it
+    const RESYNCING_PLACEHOLDER = '--:--:--';
+
+    /**
+     * Set an element's text only if it differs, so unchanged values cost no
+     * DOM mutation or relayout
+     * @param {HTMLElement} el - Element
+     * @param {string} text - New text
+     */
+    function setText(el, text) {
+        if (el.textContent !== text) {
+            el.textContent = text;
+        }
+    }
 
     /**
      * Update main clock display
-     * @param {string} timeString - Formatted time "HH:MM:SS"
+     * @param {string} timeString - Formatted time, see DisplayFormat.formatClock
      */
     function updateClock(timeString) {
-        DOM.clock.textContent = timeString;
+        setText(DOM.clock, timeString);
+    }
+
+    /**
+     * Show or hide the date line under the clock
+     * @param {Date} utcDate - Moment shown
+     * @param {string} timezone - Zone of the main clock
+     */
+    function updateDateLine(utcDate, timezone) {
+        const show = DisplayFormat.showsDateLine();
+        DOM.dateLine.classList.toggle('hidden', !show);
+        if (show) {
+            setText(DOM.dateLine, DisplayFormat.formatDateLine(utcDate, timezone));
+        }
     }
 
     /**
      * Update upcoming minute text at bottom
      * Shows either "In one minute..." or "In 30 seconds..."
      * Skipped during countdown period when VisualCueManager handles the display
+     * @param {number} [nowUtcMs] - Time to describe; defaults to now
      */
-    function updateUpcomingText() {
+    function updateUpcomingText(nowUtcMs = TimeSyncManager.getCurrentUtcMs()) {
         // Skip update if in countdown mode - let VisualCueManager handle display
         if (VisualCueManager.isInCountdownMode()) {
             return;
         }
 
-        const timezone = TimezoneManager.getTimezone();
-        const utcDate = TimeSyncManager.getCurrentUtcDate();
-        const components = TimezoneManager.getTimeComponentsInTimezone(utcDate, timezone);
-        const secondsToMinute = 60 - components.second;
+        setText(DOM.upcomingText, VisualCueManager.getUpcomingText(nowUtcMs));
+    }
 
-        let text;
-        if (secondsToMinute > 30) {
-            // More than 30 seconds away
-            const nextMinute = TimezoneManager.getNextMinuteInTimezone(utcDate, timezone);
-            const hour = String(nextMinute.hour).padStart(2, '0');
-            const minute = String(nextMinute.minute).padStart(2, '0');
-            text = `IN ONE MINUTE, THE TIME WILL BE ${hour}:${minute} LOCAL`;
+    /**
+     * Format whole seconds as M:SS or H:MM:SS
+     * @param {number} totalSeconds - Non-negative whole seconds
+     * @returns {string}
+     */
+    function formatCountdown(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+        return `${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+
+    /**
+     * Update the large time-on-target countdown, switching to a count-up
+     * of elapsed time once the target has passed
+     * @param {number} nowUtcMs - Time to show it for
+     */
+    function updateTargetDisplay(nowUtcMs) {
+        const targetUtcMs = TargetTimeManager.getTarget();
+        DOM.targetDisplay.classList.toggle('hidden', targetUtcMs === null);
+        if (targetUtcMs === null) return;
+
+        const remainingMs = targetUtcMs - nowUtcMs;
+        if (remainingMs > 0) {
+            setText(DOM.targetDisplay, `T-${formatCountdown(Math.ceil(remainingMs / 1000))}`);
+            DOM.targetDisplay.classList.toggle('elapsed', false);
         } else {
-            // 30 seconds or less
-            const nextMinute = TimezoneManager.getNextMinuteInTimezone(utcDate, timezone);
-            const hour = String(nextMinute.hour).padStart(2, '0');
-            const minute = String(nextMinute.minute).padStart(2, '0');
-            text = `30 SECONDS TO HACK`;
+            setText(DOM.targetDisplay, `T+${formatCountdown(Math.floor(-remainingMs / 1000))}`);
+            DOM.targetDisplay.classList.toggle('elapsed', true);
+        }
+    }
+
+    /**
+     * Set the target from text and show it in the target form, or show why
+     * it was not understood
+     * @param {string} input - See TargetTimeManager.parseTarget
+     * @returns {boolean} Whether the target was set
+     */
+    function applyTarget(input) {
+        DOM.targetInput.value = input;
+        try {
+            const targetUtcMs = TargetTimeManager.setTarget(input);
+            DOM.targetError.textContent = '';
+            DOM.targetInput.classList.add('active');
+            DOM.targetInput.title = `Target ${new Date(targetUtcMs).toISOString()}`;
+            updateUpcomingText();
+            return true;
+        } catch (err) {
+            DOM.targetError.textContent = err.message;
+            return false;
         }
+    }
+
+    /**
+     * Set up the target time form
+     */
+    function setupTargetForm() {
+        DOM.targetForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!DOM.targetInput.value.trim()) return;
+            applyTarget(DOM.targetInput.value);
+        });
+
+        DOM.targetClear.addEventListener('click', () => {
+            TargetTimeManager.clearTarget();
+            DOM.targetInput.value = '';
+            DOM.targetInput.title = '';
+            DOM.targetInput.classList.remove('active');
+            DOM.targetError.textContent = '';
+            updateUpcomingText();
+        });
+    }
 
-        DOM.upcomingText.textContent = text;
+    /**
+     * Format a duration as a short age, e.g. "45s", "4m 10s", "2h 05m"
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string}
+     */
+    function formatAge(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+        return `${seconds}s`;
     }
 
     /**
      * Update sync status indicator
+     * Shows the sync quality state and the age of the last good sync, and
+     * flags the countdown when it is not backed by an authoritative source.
      */
     function updateSyncStatus() {
+        const { SYNC_STATES } = TimeSyncManager;
+        const { state, sinceGoodSyncMs, uncertaintyMs } = TimeSyncManager.getSyncState();
+
+        let text;
+        let warning = null;
+        switch (state) {
+            case SYNC_STATES.AUTHORITATIVE:
+                text = `AUTHORITATIVE · SYNCED ${formatAge(sinceGoodSyncMs)} AGO`;
+                break;
+            case SYNC_STATES.DEGRADED:
+                text = `DEGRADED · LAST GOOD SYNC ${formatAge(sinceGoodSyncMs)} AGO · ±${Math.round(uncertaintyMs)}ms`;
+                warning = `⚠ STALE SYNC (${formatAge(sinceGoodSyncMs)}) · ±${Math.round(uncertaintyMs)}ms`;
+                break;
+            case SYNC_STATES.LOCAL_ONLY:
+                text = 'LOCAL CLOCK ONLY · NOT VERIFIED';
+                warning = '⚠ UNVERIFIED · LOCAL CLOCK ONLY';
+                break;
+            case SYNC_STATES.RESYNCING:
+                text = 'RESYNCING · CLOCK WAS SUSPENDED OR STEPPED';
+                break;
+            default:
+                text = 'Syncing...';
+        }
+
+        const session = SessionManager.getStatusText();
+        setText(DOM.syncStatusText, session ? `${text} · ${session}` : text);
+        Object.values(SYNC_STATES).forEach(s => {
+            DOM.syncStatus.classList.toggle(`state-${s}`, s === state);
+        });
+
+        const showWarning = warning !== null && VisualCueManager.isInCountdownMode();
+        DOM.countdownWarning.classList.toggle('hidden', !showWarning);
+        DOM.countdownWarning.classList.toggle('local-only', state === SYNC_STATES.LOCAL_ONLY);
+        if (showWarning) {
+            setText(DOM.countdownWarning, warning);
+        }
+    }
+
+    /**
+     * Update sync accuracy display
+     */
+    function updateSyncAccuracy() {
         const synced = TimeSyncManager.getSyncStatus();
-        if (synced) {
-            DOM.syncStatus.classList.add('synced');
+        const estimate = TimeSyncManager.getOffsetEstimate();
+        const drift = TimeSyncManager.getDriftEstimate();
+        if (synced && estimate && drift) {
+            const error = Math.round(drift.uncertaintyMs);
+            const title = `Offset ${Math.round(estimate.offsetMs)}ms from local clock via ${estimate.source}\n` +
+                `Clock rate ${drift.ratePpm.toFixed(1)} ± ${drift.rateStdErrPpm.toFixed(1)} ppm ` +
+                `(${drift.samples} syncs), drift since sync ${drift.driftMs.toFixed(1)}ms`;
+            const accuracyKey = `${error}|${title}`;
+            if (accuracyKey === renderedAccuracyKey) return;
+            renderedAccuracyKey = accuracyKey;
+            DOM.syncAccuracy.textContent = `Sync: ±${error}ms`;
+            DOM.syncAccuracy.title = title;
+            // Color code based on current uncertainty
+            DOM.syncAccuracy.classList.toggle('accuracy-good', error < 50);
+            DOM.syncAccuracy.classList.toggle('accuracy-fair', error >= 50 && error < 100);
+            DOM.syncAccuracy.classList.toggle('accuracy-poor', error >= 100);
         } else {
-            DOM.syncStatus.classList.remove('synced');
-            DOM.syncStatusText.textContent = 'Syncing...';
+            if (renderedAccuracyKey === 'unsynced') return;
+            renderedAccuracyKey = 'unsynced';
+            DOM.syncAccuracy.textContent = 'Sync: --ms';
+            DOM.syncAccuracy.title = '';
+            DOM.syncAccuracy.classList.remove('accuracy-good', 'accuracy-fair', 'accuracy-poor');
+        }
+    }
+
+    /**
+     * Update the list of time sources that agreed with or were rejected by
+     * the last consensus. Only rebuilt when a new sync produced a new report.
+     */
+    function updateSourceReport() {
+        const report = TimeSyncManager.getSourceReport();
+        if (report === renderedSourceReport) return;
+        renderedSourceReport = report;
+
+        DOM.syncSources.replaceChildren(...report.map(entry => {
+            const el = document.createElement('span');
+            el.className = `sync-source ${entry.status}`;
+            el.textContent = `${entry.status === 'agreed' ? '✓' : '✗'} ${entry.name}`;
+            el.title = entry.sample
+                ? `${entry.status}: offset ${entry.sample.offsetMs.toFixed(1)} ± ${entry.sample.errorMs.toFixed(1)}ms`
+                : `${entry.status}: ${entry.error}`;
+            return el;
+        }));
+    }
+
+    /**
+     * Build an <option> for a timezone labelled with its current offset
+     * Labels are cached for the quarter hour (see renderTimezoneOptions),
+     * since describing every zone on each search keystroke is slow.
+     * @param {string} tz - IANA timezone name
+     * @param {Date} utcDate - Moment used for the offset
+     * @returns {HTMLOptionElement}
+     */
+    function createTimezoneOption(tz, utcDate) {
+        if (!timezoneLabels.has(tz)) {
+            const { offsetLabel, abbreviation } = TimezoneManager.describeTimezone(tz, utcDate);
+            const name = tz === 'UTC' ? 'UTC (Zulu)' : tz.replace(/_/g, ' ');
+            timezoneLabels.set(tz, abbreviation && tz !== 'UTC'
+                ? `${name} · ${abbreviation} ${offsetLabel}`
+                : `${name} · ${offsetLabel}`);
+        }
+        const option = document.createElement('option');
+        option.value = tz;
+        option.textContent = timezoneLabels.get(tz);
+        return option;
+    }
+
+    /**
+     * Rebuild the timezone options: favorites first, then every zone grouped
+     * by region, filtered by the search box. The selected zone always stays
+     * in the list so the select never goes blank. Called only when the
+     * search text or the favorites change, not when the list opens; offsets
+     * shifted by DST since the last quarter hour are picked up on the next call.
+     */
+    function renderTimezoneOptions() {
+        const utcDate = TimeSyncManager.getCurrentUtcDate();
+        const period = Math.floor(utcDate.getTime() / TIMEZONE_LABEL_TTL_MS);
+        if (period !== timezoneLabelsPeriod) {
+            timezoneLabels.clear();
+            timezoneLabelsPeriod = period;
+        }
+        const selected = TimezoneManager.getTimezone();
+        const favorites = TimezoneManager.getFavorites();
+        const query = DOM.tzSearch.value.trim().toLowerCase().replace(/[\s_]+/g, ' ');
+        const matches = (option) => !query || option.textContent.toLowerCase().replace(/_/g, ' ').includes(query);
+
+        const groups = [];
+        if (favorites.length > 0) {
+            const favoriteGroup = document.createElement('optgroup');
+            favoriteGroup.label = '★ Favorites';
+            favorites.forEach(tz => favoriteGroup.append(createTimezoneOption(tz, utcDate)));
+            groups.push(favoriteGroup);
+        }
+
+        const zones = TimezoneManager.getAllTimezones();
+        if (!zones.includes(selected)) {
+            // e.g. a legacy alias reported by the browser
+            zones.unshift(selected);
+        }
+        const regions = new Map();
+        zones.forEach(tz => {
+            if (favorites.includes(tz)) return;
+            const option = createTimezoneOption(tz, utcDate);
+            if (tz !== selected && !matches(option)) return;
+            const region = tz.includes('/') ? tz.split('/')[0] : 'General';
+            if (!regions.has(region)) {
+                const group = document.createElement('optgroup');
+                group.label = region;
+                regions.set(region, group);
+            }
+            regions.get(region).append(option);
+        });
+        groups.push(...regions.values());
+
+        DOM.tzSelect.replaceChildren(...groups);
+        DOM.tzSelect.value = selected;
+        updateFavoriteButton();
+    }
+
+    /**
+     * Reflect whether the selected zone is pinned
+     */
+    function updateFavoriteButton() {
+        const isFavorite = TimezoneManager.getFavorites().includes(TimezoneManager.getTimezone());
+        DOM.tzFavorite.textContent = isFavorite ? '★' : '☆';
+        DOM.tzFavorite.classList.toggle('active', isFavorite);
+        DOM.tzFavorite.title = isFavorite ? 'Unpin from favorites' : 'Pin to favorites';
+    }
+
+    /**
+     * Select a timezone from the picker
+     * @param {string} tz - IANA timezone name
+     */
+    function selectTimezone(tz) {
+        TimezoneManager.setTimezone(tz);
+        updateFavoriteButton();
+        updateUpcomingText();
+    }
+
+    /**
+     * Set up timezone selector change event
+     */
+    function setupTimezoneSelector() {
+        renderTimezoneOptions();
+
+        DOM.tzSelect.addEventListener('change', (e) => {
+            selectTimezone(e.target.value);
+        });
+
+        DOM.tzSearch.addEventListener('input', renderTimezoneOptions);
+
+        // Enter in the search box picks the first match
+        DOM.tzSearch.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            const first = [...DOM.tzSelect.options].find(o =>
+                o.value !== TimezoneManager.getTimezone() && !o.parentElement.label.startsWith('★')
+            );
+            if (first) {
+                selectTimezone(first.value);
+                DOM.tzSearch.value = '';
+                renderTimezoneOptions();
+            }
+        });
+
+        DOM.tzFavorite.addEventListener('click', () => {
+            TimezoneManager.toggleFavorite(TimezoneManager.getTimezone());
+            renderTimezoneOptions();
+        });
+    }
+
+    /**
+     * Main update - runs in an animation frame scheduled by scheduleNextUpdate()
+     * Everything visible is drawn for the moment the frame will be seen
+     * (LatencyManager.getFramePerfMs), so digits and flashes change on the
+     * frame seen nearest the boundary.
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    function update(timestamp) {
+        frameRequest = null;
+        LatencyManager.noteFrame(timestamp);
+        const framePerfMs = LatencyManager.getFramePerfMs(timestamp);
+        const frameUtcMs = TimeSyncManager.getCurrentUtcMs() + (framePerfMs - performance.now());
+        // After a suspend or clock step the time is unknown until the resync
+        // lands; show that rather than a possibly wrong time, and hold all cues
+        const resyncing = TimeSyncManager.getSyncState().state === TimeSyncManager.SYNC_STATES.RESYNCING;
+        DOM.clockDisplay.classList.toggle('resyncing', resyncing);
+        if (resyncing) {
+            updateClock(RESYNCING_PLACEHOLDER);
+            setText(DOM.upcomingText, '');
+            updateSyncStatus();
+            scheduleNextUpdate();
+            return;
         }
+
+        const timezone = TimezoneManager.getTimezone();
+        const utcDate = new Date(frameUtcMs);
+        const timeString = DisplayFormat.formatClock(utcDate, timezone);
+
+        updateClock(timeString);
+        updateDateLine(utcDate, timezone);
+        ClockBoardManager.render(utcDate);
+        updateTargetDisplay(frameUtcMs);
+        updateUpcomingText(frameUtcMs);
+        updateSyncStatus();
+        updateSyncAccuracy();
+        updateSourceReport();
+
+        // Process visual cues (flashes, countdown)
+        VisualCueManager.processVisualCues(frameUtcMs, framePerfMs);
+        TimerManager.render(frameUtcMs, framePerfMs);
+        AudioCueManager.processAudioCues();
+
+        scheduleNextUpdate();
     }
 
     /**
-     * Update sync accuracy display
+     * Time until the next moment something can change: a few frames before
+     * the next second boundary, clock tick (tenths) or timer tick is seen, or
+     * an audio cue's lead time before a second boundary
+     * @param {number} nowUtcMs - Current UTC time in milliseconds
+     * @returns {number} Delay in milliseconds
      */
-    function updateSyncAccuracy() {
-        const synced = TimeSyncManager.getSyncStatus();
-        if (synced) {
-            const drift = TimeSyncManager.getCurrentDrift();
-            DOM.syncAccuracy.textContent = `Sync: ${drift}ms`;
-            // Color code based on drift magnitude
-            if (Math.abs(drift) < 50) {
-                DOM.syncAccuracy.style.color = '#0f0'; // Green - excellent
-                DOM.syncAccuracy.style.opacity = '0.8';
-            } else if (Math.abs(drift) < 100) {
-                DOM.syncAccuracy.style.color = '#ff0'; // Yellow - good
-                DOM.syncAccuracy.style.opacity = '0.8';
-            } else {
-                DOM.syncAccuracy.style.color = '#f00'; // Red - poor
-                DOM.syncAccuracy.style.opacity = '0.8';
-            }
-        } else {
-            DOM.syncAccuracy.textContent = 'Sync: --ms';
-            DOM.syncAccuracy.style.color = '#888';
-            DOM.syncAccuracy.style.opacity = '0.5';
-        }
+    function msUntilNextWake(nowUtcMs) {
+        const displayLeadMs = LatencyManager.getDisplayLeadMs() + RUN_IN_FRAMES * LatencyManager.getFrameIntervalMs();
+        const leads = [displayLeadMs, ...AudioCueManager.getLeadTimesMs()];
+        const boundary = Math.floor(nowUtcMs / 1000) * 1000 + 1000;
+        const tickMs = DisplayFormat.getTickMs();
+        const tick = Math.floor((nowUtcMs + displayLeadMs) / tickMs) * tickMs + tickMs;
+        const wakes = [boundary, boundary + 1000, boundary + 2000]
+            .flatMap(b => leads.map(lead => b - lead + WAKE_SLACK_MS))
+            .concat(TimerManager.getNextBoundaryUtcMs(nowUtcMs + displayLeadMs) - displayLeadMs + WAKE_SLACK_MS)
+            .concat(tick - displayLeadMs + WAKE_SLACK_MS)
+            .filter(wakeUtcMs => wakeUtcMs > nowUtcMs);
+        return Math.min(...wakes) - nowUtcMs;
     }
 
     /**
-     * Set up timezone selector change event
+     * Schedule the next update
+     * Every frame while a cue animates or a boundary is about to be seen,
+     * otherwise a timer aligned to the next wake point, then the following
+     * frame so the write lands in one paint. Nothing is scheduled while the
+     * tab is hidden.
      */
-    function setupTimezoneSelector() {
-        // Set default value to detected timezone
-        const defaultTz = TimezoneManager.getTimezone();
-        DOM.tzSelect.value = defaultTz;
+    function scheduleNextUpdate() {
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        if (document.hidden || frameRequest !== null) return;
 
-        DOM.tzSelect.addEventListener('change', (e) => {
-            TimezoneManager.setTimezone(e.target.value);
-            updateUpcomingText();
-        });
+        const nowUtcMs = TimeSyncManager.getCurrentUtcMs();
+        const seenUtcMs = nowUtcMs + LatencyManager.getDisplayLeadMs();
+        const tickMs = DisplayFormat.getTickMs();
+        const msUntilSeenBoundary = Math.min(Math.ceil(seenUtcMs / tickMs) * tickMs,
+            TimerManager.getNextBoundaryUtcMs(seenUtcMs)) - seenUtcMs;
+        if (VisualCueManager.needsAnimationFrames(seenUtcMs) ||
+            msUntilSeenBoundary <= RUN_IN_FRAMES * LatencyManager.getFrameIntervalMs()) {
+            frameRequest = requestAnimationFrame(update);
+            return;
+        }
+        updateTimer = setTimeout(() => {
+            updateTimer = null;
+            frameRequest = requestAnimationFrame(update);
+        }, msUntilNextWake(nowUtcMs));
     }
 
     /**
-     * Main update loop - called via requestAnimationFrame
+     * Update on the next frame instead of waiting for the next wake point,
+     * e.g. after a setting changed
      */
-    function update() {
-        const timezone = TimezoneManager.getTimezone();
-        const utcDate = TimeSyncManager.getCurrentUtcDate();
-        const timeString = TimezoneManager.formatTimeInTimezone(utcDate, timezone);
-        
-        updateClock(timeString);
-        updateUpcomingText();
-        updateSyncStatus();
-        updateSyncAccuracy();
-        
-        // Process visual cues (flashes, countdown)
-        VisualCueManager.processVisualCues();
+    function requestUpdate() {
+        if (frameRequest !== null || document.hidden) return;
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        frameRequest = requestAnimationFrame(update);
+    }
 
-        requestAnimationFrame(update);
+    /**
+     * Stop while hidden and catch up as soon as the tab is shown again
+     */
+    function handleVisibilityChange() {
+        if (document.hidden) {
+            clearTimeout(updateTimer);
+            updateTimer = null;
+            if (frameRequest !== null) {
+                cancelAnimationFrame(frameRequest);
+                frameRequest = null;
+            }
+        } else {
+            requestUpdate();
+        }
     }
 
     return {
         setupTimezoneSelector,
+        setupTargetForm,
+        applyTarget,
+        formatCountdown,
         startUpdateLoop: () => {
-            requestAnimationFrame(update);
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+            // Any control change should show up now, not at the next second
+            ['change', 'click', 'submit'].forEach(type => document.addEventListener(type, requestUpdate));
+            requestUpdate();
         },
+        requestUpdate,
         updateUpcomingTextNow: updateUpcomingText
     };
 })();
@@ -687,11 +6178,658 @@ const PresentationMode = (() => {
         document.addEventListener('visibilitychange', handleVisibilityChange);
     }
 
+    /**
+     * Kiosk mode: hide every control and keep the screen on
+     * Fullscreen needs a user gesture, so it is entered on the first tap or
+     * key press.
+     */
+    function enterKiosk() {
+        DOM.body.classList.add('kiosk');
+        enableWakeLock();
+        const goFullscreen = () => {
+            if (!isFullscreen) toggleFullscreen();
+        };
+        document.addEventListener('pointerdown', goFullscreen, { once: true });
+        document.addEventListener('keydown', goFullscreen, { once: true });
+    }
+
     return {
         init: () => {
             setupEventListeners();
             enableWakeLock();
+        },
+        enterKiosk
+    };
+})();
+
+// ============================================================================
+// STREAM OVERLAY MODULE
+// ============================================================================
+
+const OverlayManager = (() => {
+    // Overlay output for screen sharing and OBS: 'off', a transparent
+    // background, or a chroma-key color. Set from the ⚙ panel or the URL
+    // (?overlay=green&status=1) for this page load only, so a reload always
+    // brings the controls back.
+    const MODES = ['off', 'transparent', 'green', 'blue'];
+
+    let mode = 'off';
+    let showStatus = false;           // Burn the sync status into the overlay
+
+    const DOM = {
+        select: document.getElementById('overlay-select'),
+        status: document.getElementById('overlay-status')
+    };
+
+    /**
+     * Read ?overlay= and ?status= from the URL
+     */
+    function loadFromUrl() {
+        const params = new URLSearchParams(location.search);
+        const fromUrl = params.get('overlay');
+        if (fromUrl) {
+            if (MODES.includes(fromUrl)) {
+                mode = fromUrl;
+            } else {
+                console.warn(`Ignoring unknown overlay mode in URL: ${fromUrl}`);
+            }
+        }
+        showStatus = params.get('status') === '1';
+    }
+
+    /**
+     * Put the overlay settings on the page and in the panel
+     */
+    function apply() {
+        const root = document.documentElement;
+        if (mode === 'off') {
+            delete root.dataset.overlay;
+        } else {
+            root.dataset.overlay = mode;
+        }
+        root.toggleAttribute('data-overlay-status', showStatus);
+        DOM.select.value = mode;
+        DOM.status.checked = showStatus;
+    }
+
+    /**
+     * Switch overlay mode
+     * @param {string} value - One of MODES
+     * @returns {boolean} False if the mode is unknown
+     */
+    function setMode(value) {
+        if (!MODES.includes(value)) return false;
+        mode = value;
+        apply();
+        return true;
+    }
+
+    /**
+     * Get the overlay settings in use
+     * @returns {object} {mode, showStatus}
+     */
+    function getSettings() {
+        return { mode, showStatus };
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        DOM.select.addEventListener('change', () => setMode(DOM.select.value));
+        DOM.status.addEventListener('change', () => {
+            showStatus = DOM.status.checked;
+            apply();
+        });
+        // The panels are hidden in the overlay, so Esc is the way back
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && mode !== 'off') {
+                setMode('off');
+            }
+        });
+    }
+
+    return {
+        init: () => {
+            loadFromUrl();
+            apply();
+            setupEventListeners();
+        },
+        getSettings
+    };
+})();
+
+// ============================================================================
+// URL CONFIGURATION MODULE
+// ============================================================================
+
+const UrlConfigManager = (() => {
+    // Query parameters (tz, theme, overlay and status are applied by
+    // TimezoneManager, ThemeManager and OverlayManager while they load):
+    //   tz       IANA timezone, e.g. UTC or Europe/Berlin
+    //   profile  cue profile id, or a whole profile as JSON (used, not saved)
+    //   target   target time in any form the target box accepts
+    //   theme    default, night, high-contrast or custom
+    //   overlay  stream overlay: transparent, green or blue
+    //   status   1 to show the sync status in the overlay
+    //   audio    off, tones, voice or both
+    //   locale   callout language: en, fr or es
+    //   phraseology  military or civil
+    //   format   time format: 24h, military or 12h
+    //   tenths   1 or 0 to show or hide tenths of a second
+    //   date     1 or 0 to show or hide the date line
+    //   panels   comma-separated panels to open: profile, diagnostics, watch,
+    //            timers, settings
+    //   kiosk    1 to hide the controls and keep the screen on
+    // Settings from the URL apply to this page load and are not saved.
+    const AUDIO_VALUES = {
+        off: { tones: false, voice: false },
+        tones: { tones: true, voice: false },
+        voice: { tones: false, voice: true },
+        both: { tones: true, voice: true }
+    };
+    const PANEL_BUTTONS = {
+        profile: 'profile-btn',
+        diagnostics: 'diagnostics-btn',
+        watch: 'watch-btn',
+        timers: 'timers-btn',
+        settings: 'settings-btn'
+    };
+    const PANEL_IDS = {
+        profile: 'profile-panel',
+        diagnostics: 'diagnostics-panel',
+        watch: 'watch-panel',
+        timers: 'timers-panel',
+        settings: 'settings-panel'
+    };
+
+    const DOM = {
+        copyBtn: document.getElementById('share-copy'),
+        kiosk: document.getElementById('share-kiosk'),
+        link: document.getElementById('share-link'),
+        message: document.getElementById('share-message')
+    };
+
+    /**
+     * Apply a cue profile given in the URL: an id, or a profile as JSON
+     * @param {string} value - Parameter value
+     */
+    function applyProfile(value) {
+        let id = value;
+        if (value.trim().startsWith('{')) {
+            try {
+                ({ id } = CueProfileManager.useTemporaryProfile(JSON.parse(value)));
+            } catch (e) {
+                console.warn('Ignoring invalid cue profile in URL:', e);
+                return;
+            }
+        }
+        if (!CueProfileManager.setActiveProfile(id, false)) {
+            console.warn(`Ignoring unknown cue profile in URL: ${value}`);
+        }
+    }
+
+    /**
+     * Apply the settings in the page URL
+     */
+    function apply() {
+        const params = new URLSearchParams(location.search);
+
+        if (params.has('profile')) {
+            applyProfile(params.get('profile'));
+        }
+        if (params.has('target') && !DisplayManager.applyTarget(params.get('target'))) {
+            console.warn(`Ignoring unrecognized target in URL: ${params.get('target')}`);
+        }
+        if (params.has('audio')) {
+            const audio = AUDIO_VALUES[params.get('audio')];
+            if (audio) {
+                AudioCueManager.setEnabled(audio);
+            } else {
+                console.warn(`Ignoring unknown audio setting in URL: ${params.get('audio')}`);
+            }
+        }
+        ['locale', 'phraseology'].forEach(name => {
+            if (params.has(name) && !MessageCatalog.setActive({ [name]: params.get(name) })) {
+                console.warn(`Ignoring unknown ${name} in URL: ${params.get(name)}`);
+            }
+        });
+        if (params.has('format') && !DisplayFormat.setActive({ style: params.get('format') })) {
+            console.warn(`Ignoring unknown time format in URL: ${params.get('format')}`);
+        }
+        [['tenths', 'tenths'], ['date', 'dateLine']].forEach(([name, key]) => {
+            if (!params.has(name)) return;
+            const value = params.get(name);
+            if (value === '1' || value === '0') {
+                DisplayFormat.setActive({ [key]: value === '1' });
+            } else {
+                console.warn(`Ignoring ${name} in URL (use 1 or 0): ${value}`);
+            }
+        });
+        if (params.has('panels')) {
+            params.get('panels').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+                const button = PANEL_BUTTONS[name] && document.getElementById(PANEL_BUTTONS[name]);
+                if (!button) {
+                    console.warn(`Ignoring unknown panel in URL: ${name}`);
+                    return;
+                }
+                // The panel buttons own the open/refresh logic
+                if (document.getElementById(PANEL_IDS[name]).classList.contains('hidden')) {
+                    button.click();
+                }
+            });
+        }
+        if (params.get('kiosk') === '1') {
+            PresentationMode.enterKiosk();
+        }
+    }
+
+    /**
+     * Build a link that opens this page with the current setup
+     * @param {boolean} kiosk - Add kiosk=1
+     * @returns {string} URL
+     */
+    function buildShareLink(kiosk) {
+        const params = new URLSearchParams();
+        params.set('tz', TimezoneManager.getTimezone());
+
+        const profile = CueProfileManager.getActiveProfile();
+        params.set('profile', CueProfileManager.isBuiltInProfile(profile.id) ? profile.id : JSON.stringify(profile));
+
+        const targetUtcMs = TargetTimeManager.getTarget();
+        if (targetUtcMs !== null) {
+            params.set('target', new Date(targetUtcMs).toISOString().replace('.000Z', 'Z'));
+        }
+        if (ThemeManager.getTheme() !== 'default') {
+            params.set('theme', ThemeManager.getTheme());
+        }
+
+        const overlay = OverlayManager.getSettings();
+        if (overlay.mode !== 'off') {
+            params.set('overlay', overlay.mode);
+            if (overlay.showStatus) {
+                params.set('status', '1');
+            }
+        }
+
+        const { tones, voice } = AudioCueManager.getEnabled();
+        params.set('audio', Object.keys(AUDIO_VALUES).find(key =>
+            AUDIO_VALUES[key].tones === tones && AUDIO_VALUES[key].voice === voice));
+
+        const { locale, phraseology } = MessageCatalog.getSettings();
+        params.set('locale', locale);
+        params.set('phraseology', phraseology);
+
+        const { style, tenths, dateLine } = DisplayFormat.getSettings();
+        params.set('format', style);
+        params.set('tenths', tenths ? '1' : '0');
+        params.set('date', dateLine ? '1' : '0');
+
+        const open = Object.keys(PANEL_IDS).filter(name =>
+            !document.getElementById(PANEL_IDS[name]).classList.contains('hidden'));
+        if (open.length > 0) {
+            params.set('panels', open.join(','));
+        }
+        if (kiosk) {
+            params.set('kiosk', '1');
+        }
+        return `${location.origin}${location.pathname}?${params.toString()}`;
+    }
+
+    /**
+     * Copy the share link to the clipboard, falling back to selecting it in
+     * the link field where the clipboard is unavailable (e.g. plain http)
+     */
+    async function copyShareLink() {
+        const link = buildShareLink(DOM.kiosk.checked);
+        DOM.link.value = link;
+        DOM.link.classList.remove('hidden');
+        try {
+            await navigator.clipboard.writeText(link);
+            DOM.message.textContent = 'Link copied';
+        } catch (e) {
+            DOM.link.select();
+            DOM.message.textContent = 'Copy the selected link';
+        }
+    }
+
+    return {
+        init: () => {
+            DOM.copyBtn.addEventListener('click', copyShareLink);
+            apply();
+        },
+        buildShareLink
+    };
+})();
+
+// ============================================================================
+// EMBEDDABLE CLOCK MODULE
+// ============================================================================
+
+const EmbedManager = (() => {
+    // <time-hack> attributes:
+    //   timezone  IANA timezone; defaults to this device's zone
+    //   profile   cue profile id; defaults to the active profile
+    //   target    target time in any form the target box accepts; times
+    //             without a Z are in the element's timezone
+    //   size      small, medium, large, or a CSS length for the digits
+    // Every element on the page runs on the one TimeSyncManager time base
+    // and is drawn by one shared loop, like the main display's.
+    const TAG_NAME = 'time-hack';
+    const SIZES = { small: '24px', medium: '48px', large: '96px' };
+    const WAKE_SLACK_MS = 1;
+    const RUN_IN_FRAMES = 2;
+    const SAFE_STAGE_CLASSES = ['safe-standby', 'safe-countdown', 'safe-hack'];
+
+    // Colors come from the page's theme variables where it has them (the app
+    // itself), otherwise from the fallbacks
+    const STYLE = `
+        :host {
+            display: inline-block;
+            font-family: 'Roboto Mono', monospace;
+            color: var(--fg, #fff);
+            background: var(--bg, #000);
+        }
+        :host([hidden]) { display: none; }
+        .frame {
+            position: relative;
+            padding: 0.2em 0.4em;
+            font-size: ${SIZES.medium};
+            text-align: center;
+        }
+        .label, .cue { font-size: 0.25em; letter-spacing: 0.1em; color: var(--fg-dim, #aaa); }
+        .cue { min-height: 1.2em; }
+        .time { position: relative; font-weight: 700; line-height: 1.1; font-variant-numeric: tabular-nums; }
+        .target { font-size: 0.5em; color: var(--accent, #0f0); }
+        .target.elapsed { color: var(--fg-dim, #aaa); }
+        .hidden { display: none; }
+        .flash { position: absolute; inset: 0; pointer-events: none; }
+        .flash.on { background: var(--flash, #fff); opacity: 0.9; }
+        .flash.countdown { background: var(--flash, #fff); opacity: 0.95; }
+        .time.invert { z-index: 1; color: var(--bg, #000); }
+        .time.safe-standby { color: var(--caution, #fc0); }
+        .time.safe-countdown { color: var(--caution-strong, #f80); }
+        .time.safe-hack { color: var(--accent, #0f0); }
+    `;
+
+    const instances = new Set();
+    let updateTimer = null;
+    let frameRequest = null;
+
+    /**
+     * The synced clock, countdown and cues in one element
+     */
+    class TimeHackElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['timezone', 'profile', 'target', 'size'];
+        }
+
+        constructor() {
+            super();
+            const root = this.attachShadow({ mode: 'open' });
+            root.innerHTML = `<style>${STYLE}</style>
+                <div class="frame" part="frame">
+                    <div class="label" part="label"></div>
+                    <div class="time" part="time">--:--:--</div>
+                    <div class="target hidden" part="target"></div>
+                    <div class="cue" part="cue"></div>
+                    <div class="flash" part="flash"></div>
+                </div>`;
+            this.elements = {
+                frame: root.querySelector('.frame'),
+                label: root.querySelector('.label'),
+                time: root.querySelector('.time'),
+                target: root.querySelector('.target'),
+                cue: root.querySelector('.cue'),
+                flash: root.querySelector('.flash')
+            };
+            this.timezone = TimezoneManager.getDefaultTimezone();
+            this.targetUtcMs = null;
+            this.flashes = VisualCueManager.createFlashChannel(state => {
+                this.elements.flash.classList.toggle('on', state === 'on');
+                this.elements.flash.classList.toggle('countdown', state === 'countdown');
+                this.elements.time.classList.toggle('invert', state === 'countdown');
+            });
+            this.lastCueKey = null;   // Hack and second last cued
+            this.holdUntilUtcMs = 0;  // HACK text stays up until then
+            this.rendered = {};       // Text last written per element
+        }
+
+        connectedCallback() {
+            instances.add(this);
+            requestUpdate();
+        }
+
+        disconnectedCallback() {
+            instances.delete(this);
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            switch (name) {
+                case 'timezone': {
+                    const previous = this.timezone;
+                    if (value && !TimezoneManager.isValidTimezone(value)) {
+                        console.warn(`<${TAG_NAME}>: unknown timezone ${value}`);
+                    }
+                    this.timezone = value && TimezoneManager.isValidTimezone(value)
+                        ? value
+                        : TimezoneManager.getDefaultTimezone();
+                    // Target times without a Z are in the element's zone
+                    if (this.timezone !== previous) {
+                        this.parseTarget();
+                    }
+                    break;
+                }
+                case 'profile':
+                    if (value && !CueProfileManager.findProfile(value)) {
+                        console.warn(`<${TAG_NAME}>: unknown cue profile ${value}`);
+                    }
+                    break;
+                case 'target':
+                    this.parseTarget();
+                    break;
+                case 'size':
+                    this.elements.frame.style.fontSize = SIZES[value] || value || '';
+                    break;
+                default:
+                    break;
+            }
+            this.lastCueKey = null;
+            this.rendered = {};
+            requestUpdate();
+        }
+
+        /**
+         * Parse the target attribute in the element's current timezone
+         */
+        parseTarget() {
+            const value = this.getAttribute('target');
+            this.targetUtcMs = null;
+            if (value) {
+                try {
+                    this.targetUtcMs = TargetTimeManager.parseTarget(value, TimeSyncManager.getCurrentUtcMs(), this.timezone);
+                } catch (e) {
+                    console.warn(`<${TAG_NAME}>: ${e.message}`);
+                }
+            }
+        }
+
+        /**
+         * The cue profile this element follows
+         * @returns {object}
+         */
+        getProfile() {
+            return CueProfileManager.findProfile(this.getAttribute('profile')) || CueProfileManager.getActiveProfile();
+        }
+
+        /**
+         * Write text only when it changed
+         * @param {string} key - Key of this.elements
+         * @param {string} text - New text
+         */
+        setText(key, text) {
+            if (this.rendered[key] === text) return;
+            this.rendered[key] = text;
+            this.elements[key].textContent = text;
+        }
+
+        /**
+         * Whether a flash is in progress and needs every frame
+         * @returns {boolean}
+         */
+        isAnimating() {
+            return this.flashes.isAnimating();
+        }
+
+        /**
+         * Draw the element for a frame and fire its cues
+         * @param {number} frameUtcMs - UTC time the frame is seen
+         * @param {number} framePerfMs - The same moment on the performance.now() clock
+         */
+        render(frameUtcMs, framePerfMs) {
+            const reference = { timezone: this.timezone, label: ClockBoardManager.labelFor(this.timezone) };
+            this.setText('label', reference.label);
+
+            if (TimeSyncManager.getSyncState().state === TimeSyncManager.SYNC_STATES.RESYNCING) {
+                this.setText('time', '--:--:--');
+                this.setText('cue', 'RESYNCING');
+                this.flashes.render(framePerfMs);
+                return;
+            }
+
+            this.setText('time', DisplayFormat.formatClock(new Date(frameUtcMs), this.timezone));
+
+            const { targetUtcMs } = this;
+            this.elements.target.classList.toggle('hidden', targetUtcMs === null);
+            if (targetUtcMs !== null) {
+                const remainingMs = targetUtcMs - frameUtcMs;
+                this.setText('target', remainingMs > 0
+                    ? `T-${DisplayManager.formatCountdown(Math.ceil(remainingMs / 1000))}`
+                    : `T+${DisplayManager.formatCountdown(Math.floor(-remainingMs / 1000))}`);
+                this.elements.target.classList.toggle('elapsed', remainingMs <= 0);
+            }
+
+            const profile = this.getProfile();
+            const hack = TargetTimeManager.getNextHack(frameUtcMs, targetUtcMs, profile);
+            const cue = hack && VisualCueManager.getCountdownStage(hack.secondsToHack, new Date(hack.hackUtcMs), profile, reference);
+            const boundaryPerfMs = framePerfMs - (frameUtcMs % 1000);
+            const safe = VisualCueManager.isSafeMode();
+
+            const cueKey = hack && `${hack.hackUtcMs}/${hack.secondsToHack}`;
+            if (cueKey !== this.lastCueKey) {
+                this.lastCueKey = cueKey;
+                const second = new Date(frameUtcMs).getUTCSeconds();
+                let flash = null;
+                if (hack && hack.secondsToHack === 0 && profile.hackFlash) {
+                    flash = profile.flash;
+                } else if (targetUtcMs === null && profile.flashSeconds.includes(second)) {
+                    flash = profile.flash;
+                } else if (cue && cue.stage !== 'hack') {
+                    flash = profile.countdownFlash;
+                }
+                if (flash && !safe) {
+                    this.flashes.trigger({ ...flash, type: flash.style }, boundaryPerfMs);
+                }
+                if (cue && cue.stage === 'hack') {
+                    this.holdUntilUtcMs = hack.hackUtcMs + profile.holdMs;
+                }
+            }
+
+            let text;
+            if (cue && cue.text !== null) {
+                text = cue.text;
+            } else if (frameUtcMs < this.holdUntilUtcMs || (cue && cue.text === null)) {
+                // Keep the HACK message, or the previous text on a silent second
+                text = this.rendered.cue;
+            } else {
+                text = VisualCueManager.getUpcomingText(frameUtcMs, targetUtcMs, profile, reference);
+            }
+            this.setText('cue', text || '');
+
+            // Safe mode colors the digits per stage instead of flashing
+            const stage = frameUtcMs < this.holdUntilUtcMs ? 'hack' : cue && cue.stage;
+            const safeClass = safe && stage ? `safe-${stage}` : null;
+            if (safeClass !== this.rendered.safeClass) {
+                this.rendered.safeClass = safeClass;
+                this.elements.time.classList.remove(...SAFE_STAGE_CLASSES);
+                if (safeClass) {
+                    this.elements.time.classList.add(safeClass);
+                }
+            }
+            this.flashes.render(framePerfMs);
+        }
+    }
+
+    /**
+     * Draw every element for the frame about to be seen
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    function update(timestamp) {
+        frameRequest = null;
+        LatencyManager.noteFrame(timestamp);
+        const framePerfMs = LatencyManager.getFramePerfMs(timestamp);
+        const frameUtcMs = TimeSyncManager.getCurrentUtcMs() + (framePerfMs - performance.now());
+        instances.forEach(element => element.render(frameUtcMs, framePerfMs));
+        scheduleNextUpdate();
+    }
+
+    /**
+     * Schedule the next update: every frame while a flash is showing or a
+     * clock tick is about to be seen, otherwise a timer to just before the
+     * next one. Nothing runs while no element is on the page or the tab
+     * is hidden.
+     */
+    function scheduleNextUpdate() {
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        if (instances.size === 0 || document.hidden || frameRequest !== null) return;
+
+        const seenUtcMs = TimeSyncManager.getCurrentUtcMs() + LatencyManager.getDisplayLeadMs();
+        const tickMs = DisplayFormat.getTickMs();
+        const msUntilSeenBoundary = Math.ceil(seenUtcMs / tickMs) * tickMs - seenUtcMs;
+        const runInMs = RUN_IN_FRAMES * LatencyManager.getFrameIntervalMs();
+        if ([...instances].some(element => element.isAnimating()) || msUntilSeenBoundary <= runInMs) {
+            frameRequest = requestAnimationFrame(update);
+            return;
         }
+        updateTimer = setTimeout(() => {
+            updateTimer = null;
+            frameRequest = requestAnimationFrame(update);
+        }, msUntilSeenBoundary - runInMs + WAKE_SLACK_MS);
+    }
+
+    /**
+     * Draw on the next frame, e.g. after an attribute changed
+     */
+    function requestUpdate() {
+        if (frameRequest !== null || document.hidden) return;
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        frameRequest = requestAnimationFrame(update);
+    }
+
+    /**
+     * Define <time-hack> on this page
+     */
+    function register() {
+        if (!window.customElements || customElements.get(TAG_NAME)) return;
+        customElements.define(TAG_NAME, TimeHackElement);
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                clearTimeout(updateTimer);
+                updateTimer = null;
+                if (frameRequest !== null) {
+                    cancelAnimationFrame(frameRequest);
+                    frameRequest = null;
+                }
+            } else {
+                requestUpdate();
+            }
+        });
+    }
+
+    return {
+        register
     };
 })();
 
@@ -699,19 +6837,89 @@ const PresentationMode = (() => {
 // APPLICATION INITIALIZATION
 // ============================================================================
 
-async function initApp() {
+/**
+ * Register the service worker that keeps the app usable offline (sw.js)
+ * Only possible over http(s); opened as a file the app simply needs the
+ * network for each load.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register('sw.js').catch(e => {
+        console.warn('Service worker registration failed:', e);
+    });
+}
+
+function initApp() {
     try {
+        // <time-hack> works on any page the script is included in
+        EmbedManager.register();
+
+        // The modules' DOM lookups find nothing on other pages, so the app's
+        // own UI is only set up on its page; an embedding page gets the
+        // shared time base and the saved cue profiles
+        if (!document.getElementById('clock')) {
+            MessageCatalog.loadSettings();
+            DisplayFormat.loadSettings();
+            CueProfileManager.loadProfiles();
+            TimeSyncManager.init();
+            return;
+        }
+
         console.log('Initializing Time Hacked...');
 
-        // Initialize time sync first
-        await TimeSyncManager.init();
+        // Cache the app for offline launches
+        registerServiceWorker();
+
+        // Apply the theme, any stream overlay, the callout language and the
+        // time format before anything is shown
+        ThemeManager.init();
+        OverlayManager.init();
+        MessageCatalog.init();
+        DisplayFormat.init();
 
-        // Set up timezone selector
+        // Start from the saved time base; the first sync runs in the background
+        TimeSyncManager.init();
+
+        // Restore the saved or URL-specified timezone, then set up the selector
+        TimezoneManager.init();
         DisplayManager.setupTimezoneSelector();
 
+        // Restore secondary clocks
+        ClockBoardManager.init();
+
+        // Set up time-on-target entry
+        DisplayManager.setupTargetForm();
+
         // Set up fullscreen and wake lock controls
         PresentationMode.init();
 
+        // Set up tone and spoken callout controls
+        AudioCueManager.init();
+
+        // Load saved cue profiles and set up the profile editor
+        CueProfileManager.init();
+
+        // Load photosensitivity settings
+        VisualCueManager.init();
+
+        // Load this device's display/audio latency and set up calibration
+        LatencyManager.init();
+
+        // Rejoin a leader/follower session if one was configured
+        SessionManager.init();
+
+        // Set up the sync diagnostics panel
+        DiagnosticsManager.init();
+
+        // Load watch logs and set up the watch check panel
+        WatchCheckManager.init();
+
+        // Restore named timers and set up the timers panel
+        TimerManager.init();
+
+        // Apply settings from the URL (?profile=, ?target=, ?kiosk=1, ...)
+        UrlConfigManager.init();
+
         // Expose managers to window for cross-module communication
         window.DisplayManager = DisplayManager;
         window.VisualCueManager = VisualCueManager;
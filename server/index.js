@@ -0,0 +1,162 @@
+/**
+ * Companion time server
+ * Serves the app and answers sync requests from this machine's clock, so the
+ * app works on networks without internet time sources.
+ *
+ *   GET  /api/sync      {receiveUtcMs, transmitUtcMs} - NTP-style timestamps
+ *   WS   /api/ticks     {type: 'tick', utcMs} pushed on every second boundary
+ *   WS   /api/session   Session relay (same protocol as server/relay.js)
+ *
+ * Usage: node server/index.js [port]   (default 8080, or $PORT)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { acceptUpgrade } = require('./websocket');
+const { createRelay } = require('./relay');
+
+const DEFAULT_PORT = 8080;
+const ROOT = path.resolve(__dirname, '..');
+const REANCHOR_INTERVAL_MS = 60000;
+const MAX_ANCHOR_DRIFT_MS = 2;      // Re-anchor when the system clock moves further than this
+
+// Only the app files (the shell sw.js caches) are served; every other file
+// in the repository stays private
+const APP_FILES = ['index.html', 'script.js', 'styles.css', 'sw.js', 'manifest.webmanifest', 'icon.svg'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml'
+};
+
+// Date.now() only has millisecond resolution, so UTC is taken from the
+// monotonic clock anchored to the system clock. The anchor follows the
+// system clock if it is stepped or slewed (e.g. by the host's NTP daemon).
+let anchorUtcMs = Date.now() - performance.now();
+
+function reanchor() {
+    const systemAnchor = Date.now() - performance.now();
+    if (Math.abs(systemAnchor - anchorUtcMs) > MAX_ANCHOR_DRIFT_MS) {
+        anchorUtcMs = systemAnchor;
+    }
+}
+
+/**
+ * Current UTC time with sub-millisecond resolution
+ * @returns {number} UTC time in milliseconds
+ */
+function nowUtcMs() {
+    return anchorUtcMs + performance.now();
+}
+
+/**
+ * Answer a sync request with the time it arrived and the time it left
+ * @param {number} receiveUtcMs - Time the request was received
+ * @param {http.ServerResponse} res - Response
+ */
+function handleSync(receiveUtcMs, res) {
+    res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify({ receiveUtcMs, transmitUtcMs: nowUtcMs() }));
+}
+
+/**
+ * Serve one of the app files; anything else is a 404
+ * @param {string} pathname - URL path
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, req, res) {
+    const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+    if (!APP_FILES.includes(name)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    const filePath = path.join(ROOT, name);
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(err.code === 'ENOENT' || err.code === 'EISDIR' ? 404 : 500);
+            res.end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+/**
+ * Push a tick to every tick subscriber on each second boundary
+ * @param {Set} subscribers - Open tick connections
+ */
+function startTicks(subscribers) {
+    const scheduleNext = () => {
+        setTimeout(() => {
+            const utcMs = nowUtcMs();
+            const message = JSON.stringify({ type: 'tick', utcMs: Math.round(utcMs / 1000) * 1000, sentUtcMs: utcMs });
+            subscribers.forEach(connection => connection.send(message));
+            scheduleNext();
+        }, 1000 - (nowUtcMs() % 1000));
+    };
+    scheduleNext();
+}
+
+/**
+ * Create the companion server
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer() {
+    const relay = createRelay();
+    const tickSubscribers = new Set();
+
+    const server = http.createServer((req, res) => {
+        const receiveUtcMs = nowUtcMs();
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/api/sync') {
+            handleSync(receiveUtcMs, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(pathname, req, res);
+        } else {
+            res.writeHead(405);
+            res.end();
+        }
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/api/session') {
+            relay.handleUpgrade(req, socket);
+        } else if (pathname === '/api/ticks') {
+            const connection = acceptUpgrade(req, socket);
+            if (!connection) return;
+            tickSubscribers.add(connection);
+            connection.on('close', () => tickSubscribers.delete(connection));
+        } else {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        }
+    });
+
+    startTicks(tickSubscribers);
+    setInterval(reanchor, REANCHOR_INTERVAL_MS).unref();
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || Number(process.env.PORT) || DEFAULT_PORT;
+    createServer().listen(port, () => {
+        console.log(`Time Hacked companion server on http://0.0.0.0:${port}/`);
+    });
+}
+
+module.exports = { createServer };
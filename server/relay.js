@@ -0,0 +1,77 @@
+/**
+ * Session relay for leader/follower displays on different devices
+ * Clients send {type: 'join', session} first; every later message is passed
+ * unchanged to the other clients that joined the same session.
+ *
+ * Usage: node server/relay.js [port]   (default 8081)
+ */
+
+const http = require('http');
+const { acceptUpgrade } = require('./websocket');
+
+const DEFAULT_PORT = 8081;
+
+/**
+ * Create a relay that can be attached to any HTTP server's 'upgrade' event
+ * @returns {object} {handleUpgrade(req, socket), getSessionCount()}
+ */
+function createRelay() {
+    const sessions = new Map();  // session name -> Set of connections
+
+    function leave(connection, name) {
+        const members = sessions.get(name);
+        if (!members) return;
+        members.delete(connection);
+        if (members.size === 0) sessions.delete(name);
+    }
+
+    function handleUpgrade(req, socket) {
+        const connection = acceptUpgrade(req, socket);
+        if (!connection) return;
+        let session = null;
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+            if (message.type === 'join' && typeof message.session === 'string') {
+                if (session !== null) leave(connection, session);
+                session = message.session;
+                if (!sessions.has(session)) sessions.set(session, new Set());
+                sessions.get(session).add(connection);
+                return;
+            }
+            if (session === null) return;
+            sessions.get(session).forEach(member => {
+                if (member !== connection) member.send(text);
+            });
+        });
+
+        connection.on('close', () => {
+            if (session !== null) leave(connection, session);
+        });
+    }
+
+    return {
+        handleUpgrade,
+        getSessionCount: () => sessions.size
+    };
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    const relay = createRelay();
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Time Hacked session relay: connect with a WebSocket\n');
+    });
+    server.on('upgrade', relay.handleUpgrade);
+    server.listen(port, () => {
+        console.log(`Session relay listening on ws://0.0.0.0:${port}`);
+    });
+}
+
+module.exports = { createRelay };
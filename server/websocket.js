@@ -0,0 +1,191 @@
+/**
+ * Minimal WebSocket (RFC 6455) server side, text messages only
+ * Enough for the session relay and the time server's tick stream without
+ * pulling in a dependency.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Build a single unmasked frame (servers never mask)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {object|null} {fin, opcode, payload, length} or null if the frame
+ *   is not complete yet
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + payloadLength) {
+        return payloadLength > MAX_MESSAGE_BYTES ? { tooLarge: true } : null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Wrap an upgraded socket as a connection emitting 'message' (string) and
+ * 'close' events
+ * @param {net.Socket} socket - Socket handed over by the HTTP 'upgrade' event
+ * @returns {EventEmitter} Connection with send(text) and close()
+ */
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    function write(opcode, payload) {
+        if (!closed && socket.writable) {
+            socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    function close(code = 1000) {
+        if (closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        write(OPCODES.CLOSE, payload);
+        closed = true;
+        socket.end();
+    }
+
+    function handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION: {
+                fragments.push(frame);
+                const size = fragments.reduce((sum, f) => sum + f.payload.length, 0);
+                if (size > MAX_MESSAGE_BYTES) {
+                    close(1009);
+                    return;
+                }
+                if (!frame.fin) return;
+                const [first] = fragments;
+                const data = Buffer.concat(fragments.map(f => f.payload));
+                fragments = [];
+                if (first.opcode === OPCODES.TEXT) {
+                    connection.emit('message', data.toString('utf8'));
+                }
+                break;
+            }
+            case OPCODES.PING:
+                write(OPCODES.PONG, frame.payload);
+                break;
+            case OPCODES.CLOSE:
+                close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        let frame;
+        while ((frame = decodeFrame(buffered))) {
+            if (frame.tooLarge) {
+                close(1009);
+                return;
+            }
+            buffered = buffered.subarray(frame.length);
+            handleFrame(frame);
+        }
+    });
+    socket.on('close', () => {
+        closed = true;
+        connection.emit('close');
+    });
+    socket.on('error', () => socket.destroy());
+
+    connection.send = (text) => write(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    connection.close = close;
+    return connection;
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP 'upgrade' request
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ * @returns {EventEmitter|null} Connection, or null if the request was rejected
+ */
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return createConnection(socket);
+}
+
+module.exports = { acceptUpgrade };
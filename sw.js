@@ -0,0 +1,75 @@
+/**
+ * Time Hacked - Service Worker
+ *
+ * Keeps the app shell available offline. Shell files are served from the
+ * cache and refreshed in the background, so a reload after an update picks
+ * up the new version. Time sources, the companion server's API and anything
+ * cross-origin are never cached: a stale time answer is worse than none.
+ */
+
+const CACHE_NAME = 'timehack-shell-v1';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('timehack-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve from the cache and refresh the cached copy from the network
+ * Falls through to the network when nothing is cached yet.
+ * @param {FetchEvent} event - Shell file request
+ * @param {string} key - Cache key; the request without its query string, so
+ *   `?tz=...` links share one cached page
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, key) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(key, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Only shell files are handled; everything else, including the sync API,
+// goes to the network untouched
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    const url = new URL(event.request.url);
+    const scope = new URL(self.registration.scope);
+    if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+    const file = url.pathname.slice(scope.pathname.length) || './';
+    if (!SHELL_FILES.includes(file)) return;
+    event.respondWith(staleWhileRevalidate(event, new URL(file, scope).href));
+});